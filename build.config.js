@@ -7,16 +7,39 @@ const SOURCE_UNITS = [
 	'UpcityGame.sol',
 	'UpcityResourceTokenProxy.sol'
 ];
+// Compiler outputs to include in artifacts (abi, bytecode, and
+// deployedBytecode are implied). Outputs the compiler is too old for (like
+// storageLayout, before solc 0.5.13) are skipped with a warning.
+const OUTPUTS = [
+	'evm.bytecode.sourceMap',
+	'evm.deployedBytecode.sourceMap',
+	'evm.methodIdentifiers',
+	'storageLayout',
+	'userdoc',
+	'devdoc',
+	'metadata'
+];
 
 module.exports = {
 	"test": {
+		output: 'build/test',
 		units: [...SOURCE_UNITS, 'test/*.sol'],
 		defs:  _.assign({}, CONSTANTS, {"TEST": 1}),
-		optimizer: 200
+		optimizer: 200,
+		outputs: OUTPUTS,
+		// Known compiler warnings to ignore (regular expressions or substrings).
+		allowedWarnings: []
 	},
 	"release": {
+		output: 'build/release',
 		units: SOURCE_UNITS,
 		defs: CONSTANTS,
-		optimizer: 200
+		optimizer: 200,
+		outputs: OUTPUTS,
+		// Fail if any contract is too large to deploy on mainnet.
+		enforceSizeLimit: true,
+		// Write standard JSON input bundles for block explorer verification.
+		bundles: true,
+		allowedWarnings: []
 	}
 };
@@ -13,15 +13,22 @@ const RESOURCE_SYMBOLS = constants.RESOURCE_SYMBOLS;
 let config = {
 	"ropsten": {
 		network: 'ropsten',
+		chainId: 3,
 		deployer: deploy,
 		gasPrice: 10e9,
-		authorities: ['0x2621ea417659Ad69bAE66af05ebE5788E533E5e7']
+		authorities: ['0x2621ea417659Ad69bAE66af05ebE5788E533E5e7'],
+		addresses: getRecordedAddresses('ropsten')
 	},
 	"main": {
+		chainId: 1,
 		deployer: deploy,
 		authorities: ['merklejerk.eth'],
+		addresses: getRecordedAddresses('main')
 	},
 	"localhost": {
+		// ganache-cli only reports a network ID, which is random unless set, so
+		// run it with `yarn ganache` (`--networkId 1337`).
+		chainId: 1337,
 		deployer: deploy,
 		authorities: ['0x2621ea417659Ad69bAE66af05ebE5788E533E5e7'],
 		confirmations: 0
@@ -39,46 +46,54 @@ try {
 }
 module.exports = config;
 
-async function deploy({contracts, target, config}) {
-	const confirmations = _.get(config, 'confirmations', 2);
+// The contract addresses (by deployment label) in a target's deployment
+// record, which are exported in the package. Undefined until it's deployed.
+function getRecordedAddresses(target) {
+	try {
+		const record = JSON.parse(fs.readFileSync(
+			path.resolve(__dirname, 'deployments', `${target}.json`)));
+		return _.mapValues(record.contracts, c => c.address);
+	} catch (err) {
+		if (err.code != 'ENOENT')
+			throw err;
+	}
+}
+
+async function deploy({contracts, target, config, deployment}) {
 	const {
 		UpcityMarket: market,
 		UpcityGame: game,
 		UpcityResourceTokenProxy} = contracts;
 	// Deploy the game and market.
 	console.log('Deploying game...');
-	await game.new().confirmed(confirmations);
+	await deployment.deploy('UpcityGame', game);
 	console.log(`\tDeployed to: ${game.address.blue.bold}`);
 	console.log('Deploying market...');
-	await market.new().confirmed(confirmations);
+	await deployment.deploy('UpcityMarket', market);
 	console.log(`\tDeployed to: ${market.address.blue.bold}`);
 	// Deploy the tokens.
 	const tokens = [];
 	for (const [name, symbol] of _.zip(RESOURCE_NAMES, RESOURCE_SYMBOLS)) {
 		console.log(`Deploying resource token "${name}"...`);
 		const token = UpcityResourceTokenProxy.clone();
-		await token.new(
-				name,
-				symbol,
-				market.address)
-			.confirmed(confirmations);
+		await deployment.deploy(name, token, [name, symbol, market.address]);
 		console.log(`\tDeployed to: ${token.address.blue.bold}`);
 		tokens.push(token);
 	}
 	// Initialize the market.
 	console.log('Initializing the market...');
-	await market.init(
+	await deployment.init('market.init', market, [
 			bn.mul(TOKEN_RESERVE, '1e18'),
 			_.map(tokens, t => t.address),
-			[game.address],
-			{value: bn.mul(MARKET_DEPOSIT, '1e18')})
-		.confirmed(confirmations);
+			[game.address]
+		],
+		{value: bn.mul(MARKET_DEPOSIT, '1e18')});
 	// Init the game.
 	console.log('Initializing the game...');
-	await game.init(
-			market.address,
-			config.authorities[0],
-			config.authorities)
-		.confirmed(confirmations);
+	await deployment.init('game.init', game, [
+		market.address,
+		config.authorities[0],
+		config.authorities
+	]);
 	console.log('All done.')
 }
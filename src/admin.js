@@ -0,0 +1,281 @@
+#!/usr/bin/env node
+'use strict'
+require('colors');
+const _ = require('lodash');
+const bn = require('bn-str-256');
+const minimist = require('minimist');
+const process = require('process');
+const project = require('./project');
+const credentials = require('./credentials');
+const offline = require('./offline');
+const deploy = require('./deploy');
+const util = require('./util');
+const {RESOURCE_NAMES, RESOURCE_SYMBOLS, PRECISION} =
+	require(project.CONSTANTS_PATH);
+
+// Subcommands, with their arguments. Commands that send transactions
+// (`write`) need credentials.
+const COMMANDS = {
+	'status': {args: [], run: status},
+	'fees': {args: [], run: showFees},
+	'credits': {args: ['address'], run: showCredits},
+	'balances': {args: ['address'], run: showBalances},
+	'block-stats': {args: [], run: showBlockStats},
+	'collect-fees': {args: ['to'], run: collectFees, write: true},
+	'stash': {args: ['from', ...RESOURCE_SYMBOLS], run: stash, write: true}
+};
+
+function loadProgramArguments(argv=process.argv.slice(2)) {
+	const args = minimist(argv, {
+		alias: {
+			'mnemonic': ['m'],
+			'key': ['k'],
+			'keystore': ['f'],
+			'password': ['p'],
+			'gas': ['g'],
+			'account': ['a'],
+			'account-index': ['n'],
+			'output': ['o'],
+			'yes': ['y']
+		},
+		string: [
+			'mnemonic',
+			'key',
+			'keystore',
+			'password',
+			'provider',
+			'account',
+			'infura-key',
+			'network',
+			'game',
+			'market',
+			'hd-path',
+			'nonce',
+			'output',
+			'deployments'
+		],
+		boolean: ['yes', 'prepare']
+	});
+	const [command, target, ...commandArgs] = getPositionalArgs(args._, argv);
+	if (!(command in COMMANDS)) {
+		throw new Error(`Unknown command "${command}". Commands are: ` +
+			_.keys(COMMANDS).join(', '));
+	}
+	if (_.isNil(target))
+		throw new Error('Target must be given');
+	const expected = COMMANDS[command].args;
+	if (commandArgs.length != expected.length) {
+		throw new Error(`Usage: upcity-admin ${command} <target> ` +
+			_.map(expected, a => `<${a}>`).join(' '));
+	}
+	return {
+		command: command,
+		target: target,
+		args: commandArgs,
+		mnemonic: args['mnemonic'],
+		key: args['key'],
+		keystore: args['keystore'],
+		password: args['password'],
+		gasPrice: args['gas'],
+		account: args['account'],
+		provider: args['provider'],
+		accountIndex: args['account-index'],
+		hdPath: args['hd-path'],
+		network: args['network'],
+		infuraKey: args['infura-key'],
+		game: args['game'],
+		market: args['market'],
+		yes: args['yes'],
+		prepare: args['prepare'],
+		nonce: args['nonce'],
+		output: args['output'],
+		deployments: args['deployments']
+	};
+}
+
+// minimist parses positional arguments that look like numbers (including
+// hex addresses) into numbers, so map them back to the strings they came from.
+function getPositionalArgs(positionals, argv) {
+	const unused = [...argv];
+	return _.map(positionals, p => {
+		if (!_.isNumber(p))
+			return p;
+		const idx = _.findIndex(unused, a => a !== '' && Number(a) === p);
+		return _.pullAt(unused, idx)[0];
+	});
+}
+
+async function status(ctx) {
+	await showFees(ctx);
+	await showMarket(ctx);
+	await showBlockStats(ctx);
+}
+
+async function showFees(ctx) {
+	console.log(`Game ${ctx.game.address.blue.bold}:`);
+	console.log(`\tFees: ${deploy.toEther(await ctx.game.fees()).bold}`);
+	console.log(`\tBalance: ` +
+		deploy.toEther(await ctx.eth.getBalance(ctx.game.address)));
+}
+
+async function showCredits(ctx, address) {
+	const credits = await ctx.game.credits(address);
+	console.log(`Credits for ${address.blue.bold}: ${deploy.toEther(credits).bold}`);
+}
+
+async function showBalances(ctx, address) {
+	const balances = await ctx.market.getBalances(address);
+	console.log(`Token balances for ${address.blue.bold}:`);
+	for (let i = 0; i < RESOURCE_NAMES.length; i++)
+		console.log(`\t${RESOURCE_NAMES[i]}: ${toTokens(balances[i], i).bold}`);
+}
+
+async function showMarket(ctx) {
+	console.log(`Market ${ctx.market.address.blue.bold}:`);
+	for (let [i, token] of (await ctx.market.getTokens()).entries()) {
+		const state = await ctx.market.describeToken(token);
+		console.log(`\t${RESOURCE_NAMES[i].bold} (${token}):`);
+		console.log(`\t\tPrice: ${deploy.toEther(state.price)}` +
+			` (yesterday: ${deploy.toEther(state.priceYesterday)})`);
+		console.log(`\t\tSupply: ${toTokens(state.supply, i)}`);
+		console.log(`\t\tStash: ${toTokens(state.stash, i)}`);
+		console.log(`\t\tFunds: ${deploy.toEther(state.funds)}`);
+	}
+}
+
+async function showBlockStats(ctx) {
+	const stats = await ctx.game.getBlockStats();
+	console.log('Block stats:');
+	for (let i = 0; i < RESOURCE_NAMES.length; i++) {
+		console.log(`\t${RESOURCE_NAMES[i].bold}: ${stats.counts[i]} blocks, ` +
+			`score ${bn.div(stats.scores[i], PRECISION)}, ` +
+			`production ${bn.div(stats.productions[i], PRECISION)} ` +
+			`${RESOURCE_SYMBOLS[i]}/day`);
+	}
+}
+
+async function collectFees(ctx, to) {
+	const fees = await ctx.game.fees();
+	return send(ctx, ctx.game, 'collectFees', [to],
+		`Collect ${deploy.toEther(fees).bold} in fees from the game to ${to.blue.bold}`);
+}
+
+async function stash(ctx, from, ...amounts) {
+	amounts = _.map(amounts, a => bn.int(bn.mul(a, '1e18')));
+	const balances = await ctx.market.getBalances(from);
+	for (let i = 0; i < amounts.length; i++) {
+		if (bn.gt(amounts[i], balances[i])) {
+			throw new Error(`${from} only has ${toTokens(balances[i], i)}, ` +
+				`not ${toTokens(amounts[i], i)}.`);
+		}
+	}
+	return send(ctx, ctx.market, 'stash', [from, amounts],
+		`Stash ${_.map(amounts, (a, i) => toTokens(a, i).bold).join(', ')} ` +
+		`from ${from.blue.bold}`);
+}
+
+// Confirm and send (or, with --prepare, write an unsigned batch for) a
+// transaction.
+async function send(ctx, contract, method, args, description) {
+	const cfg = ctx.cfg;
+	const account = cfg.account;
+	const label = contract == ctx.game ? 'game' : 'market';
+	if (!(await contract.isAuthority(account)))
+		throw new Error(`${account} is not an authority on the ${label}.`);
+	console.log(`${description}.`);
+	console.log(`\tTarget: ${ctx.target.bold}, from: ${account.blue.bold}`);
+	if (cfg.prepare)
+		return prepare(ctx, contract, `${label}.${method}`, method, args, account);
+	if (!cfg.yes && !(await util.confirm('Send this transaction?'))) {
+		console.log('Cancelled.');
+		return;
+	}
+	const receipt = await contract[method](...args)
+		.confirmed(_.isNil(cfg.confirmations) ? 2 : cfg.confirmations);
+	console.log(`\tMined in block ${receipt.blockNumber} ` +
+		`(${receipt.transactionHash.blue}).`);
+}
+
+// Write an unsigned transaction batch, to be signed offline and broadcast with
+// `node src/deploy sign` and `node src/deploy broadcast`.
+async function prepare(ctx, contract, step, method, args, account) {
+	const cfg = ctx.cfg;
+	const gas = await contract[method](...args,
+		{gasOnly: true, gasBonus: 0, from: account});
+	const deployment = new offline.OfflineDeployment({
+		target: ctx.target,
+		chainId: await util.getChainId(ctx.eth),
+		from: account,
+		nonce: _.isNil(cfg.nonce) ?
+			await ctx.eth.getTransactionCount(account) : _.toNumber(cfg.nonce),
+		gasPrice: cfg.gasPrice || await ctx.eth.getGasPrice(),
+		gasUsed: {[step]: gas},
+		// Label the game and market like the deployment record does, but
+		// don't skip calls the record has seen before.
+		record: {
+			contracts: {
+				UpcityGame: {address: ctx.game.address},
+				UpcityMarket: {address: ctx.market.address}
+			},
+			calls: {}
+		}
+	});
+	await deployment.call(step, contract, method, args);
+	const file = cfg.output || deploy.getBatchPath(ctx.target, 'admin.unsigned', cfg);
+	await offline.writeBatch(file,
+		_.assign(deployment.toBatch(), {persist: false}));
+	console.log(`Wrote unsigned transaction to ${file.bold}`);
+}
+
+function toTokens(amount, idx) {
+	return `${bn.div(amount, '1e18')} ${RESOURCE_SYMBOLS[idx]}`;
+}
+
+async function main() {
+	const args = loadProgramArguments();
+	const cfg = credentials.applyCredentials(
+		_.defaults({}, args, await deploy.loadConfig(args.target)), args);
+	return run(args, cfg);
+}
+
+// Run the command in `args` against the target's contracts, given the target's
+// config (with the program arguments folded in).
+async function run(args, cfg) {
+	const eth = deploy.createEth(cfg);
+	await deploy.checkChainId(args.target, cfg, eth);
+	const command = COMMANDS[args.command];
+	// Load the account first, because contracts take their default options
+	// (like the key) from the config, just like the deployer's.
+	if (command.write)
+		await deploy.loadAccount(cfg, eth);
+	const addresses = await deploy.getDeployedAddresses(args.target, cfg);
+	const contracts = await deploy.loadContracts(cfg, eth);
+	const ctx = {
+		cfg: cfg,
+		eth: eth,
+		target: args.target,
+		game: contracts.UpcityGame.clone({address: addresses.game}),
+		market: contracts.UpcityMarket.clone({address: addresses.market})
+	};
+	return command.run(ctx, ...args.args);
+}
+
+module.exports = {
+	COMMANDS: COMMANDS,
+	loadProgramArguments: loadProgramArguments,
+	getPositionalArgs: getPositionalArgs,
+	run: run
+};
+
+if (require.main === module) {
+	(async () => {
+		try {
+			await main();
+		} catch (err) {
+			// Never print key material, even in errors.
+			console.error(credentials.redact(err.stack || err));
+			process.exit(-1);
+		}
+		process.exit();
+	})();
+}
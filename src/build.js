@@ -1,32 +1,56 @@
+require('colors');
 const _ = require('lodash');
 const fs = require('mz/fs');
+const fse = require('fs-extra');
+const os = require('os');
 const path = require('path');
 const process = require('process');
 const solc = require('solc');
 const minimist = require('minimist');
 const project = require('./project');
 const util = require('./util');
+const linemap = require('./linemap');
 const solpp = require('solpp');
+const abi = require('web3-eth-abi');
+const ethjs = require('ethereumjs-util');
 
-async function generateSourceUnits(config) {
-	const files = await util.glob(config.units, project.SOL_ROOT);
+async function getUnitFiles(config) {
+	return util.glob(config.units, config.sources);
+}
+
+async function generateSourceUnits(config, files) {
+	files = files || await getUnitFiles(config);
 	const promises = [];
 	for (let f of files) {
 		promises.push((async () => {
 			let code = await fs.readFile(f, 'utf-8');
+			// Record the import graph as the flattener resolves imports.
+			const graph = {[f]: []};
+			const resolver = async (file, cwd, from) => {
+				const resolved = await solpp.resolver(file, cwd, from);
+				graph[from] = _.union(graph[from], [resolved.name]);
+				graph[resolved.name] = graph[resolved.name] || [];
+				return resolved;
+			};
 			try {
 				code = await solpp.processCode(code, {
 					name: f,
 					cwd: path.dirname(f),
-					defs: config.defs
+					defs: _.clone(config.defs),
+					resolver: resolver
 				});
 			} catch (err) {
 				console.error(`Failed to preprocess file "${f}": ${err.message}`);
 				throw err;
 			}
-			const dst = util.transplantFilePath(f,
-				project.SOL_ROOT, project.BUILD_SOL_ROOT);
-			return util.writeFilePath(dst, code);
+			const dst = getUnitOutputPath(config, f);
+			await util.writeFilePath(dst, code);
+			return {
+				file: f,
+				output: dst,
+				graph: graph,
+				lineMap: await linemap.createLineMap(f, code)
+			};
 		})());
 	}
 	return Promise.all(promises);
@@ -36,37 +60,116 @@ async function getSolidityFiles(root) {
 	return util.getTreeFiles(root, {filter: f => /\.sol$/.test(f)});
 }
 
-async function getCompilerSources(files) {
+// Sources are named relative to the target's source root so the compiler
+// metadata (and bytecode) doesn't depend on where the build lives.
+function getSourceName(config, file) {
+	return path.relative(config.paths.src, file);
+}
+
+async function getCompilerSources(config, files) {
 	const contents = await Promise.all(
 		_.map(files, f => fs.readFile(f, 'utf-8')));
-	return _.zipObject(files, _.map(contents, s => ({content: s})));
+	return _.zipObject(_.map(files, f => getSourceName(config, f)),
+		_.map(contents, s => ({content: s})));
 }
 
-class CompilationError extends Error {};
+function getOptimizerSettings(config) {
+	return {
+		enabled: !!config.optimizer,
+		runs: _.toNumber(config.optimizer) || 0
+	};
+}
 
-async function compileAll(config) {
-	const files = await getSolidityFiles(project.BUILD_SOL_ROOT);
-	console.log(`Compiling: ${files.join(', ')}...`);
-	const input = {
+// Create a standard JSON compiler input.
+async function createCompilerInput(config, files) {
+	return {
 		language: 'Solidity',
-		sources: await getCompilerSources(files),
+		sources: await getCompilerSources(config, files),
 		settings: {
-			optimizer: {
-				enabled: !!config.optimizer,
-				runs: _.toNumber(config.optimizer) || 0
-			},
+			optimizer: getOptimizerSettings(config),
 			outputSelection: {
 				'*': {
-					'*': ['abi', 'evm.bytecode.object']
+					'*': getOutputSelection(config)
 				}
 			}
 		}
 	};
+}
+
+class CompilationError extends Error {};
+
+// Compiler outputs every artifact needs.
+const REQUIRED_OUTPUTS = [
+	'abi',
+	'evm.bytecode.object',
+	'evm.deployedBytecode.object'
+];
+// Maximum deployed contract size on mainnet (EIP-170).
+const MAX_CONTRACT_SIZE = 24576;
+// Artifact fields for compiler outputs not simply named after their last key.
+const ARTIFACT_FIELDS = {
+	'evm.bytecode.object': 'bytecode',
+	'evm.bytecode.sourceMap': 'sourceMap',
+	'evm.deployedBytecode.object': 'deployedBytecode',
+	'evm.deployedBytecode.sourceMap': 'deployedSourceMap'
+};
+
+// The first compiler versions to support outputs newer than our compiler.
+const OUTPUT_MIN_VERSIONS = {
+	'storageLayout': '0.5.13'
+};
+
+function getArtifactField(output) {
+	return ARTIFACT_FIELDS[output] || _.last(output.split('.'));
+}
+
+function getOutputSelection(config) {
+	return _.union(REQUIRED_OUTPUTS, config.outputs);
+}
+
+// Get the target's outputs that the compiler (by default, the one we build
+// with) supports, warning about the rest, so targets can select outputs
+// "where available".
+function getSupportedOutputs(config, version=solc.version()) {
+	const [supported, unsupported] = _.partition(config.outputs, output =>
+		!OUTPUT_MIN_VERSIONS[output] ||
+		compareVersions(version, OUTPUT_MIN_VERSIONS[output]) >= 0);
+	for (let output of unsupported) {
+		console.warn((`Skipping the "${output}" output, which needs solc ` +
+			`${OUTPUT_MIN_VERSIONS[output]} or later (not ${version}).`).yellow);
+	}
+	return supported;
+}
+
+// Compare two "major.minor.patch" versions, ignoring any build metadata.
+function compareVersions(a, b) {
+	const parse = v => _.map(/^v?(\d+)\.(\d+)\.(\d+)/.exec(v).slice(1), _.toNumber);
+	for (let [x, y] of _.zip(parse(a), parse(b))) {
+		if (x != y)
+			return x < y ? -1 : 1;
+	}
+	return 0;
+}
+
+async function compileAll(config, files, lineMaps={}) {
+	files = files || await getSolidityFiles(config.paths.src);
+	console.log(`Compiling: ${files.join(', ')}...`);
+	const input = await createCompilerInput(config, files);
 	const output = JSON.parse(solc.compile(JSON.stringify(input)));
-	if (output.errors && output.errors.length) {
+	const diagnostics = _.map(output.errors, e => _.assign({}, e, {
+		// Point locations at the original (unprocessed) sources.
+		formattedMessage: linemap.mapMessageLocations(
+			e.formattedMessage || e.message, lineMaps)
+	}));
+	const errors = _.filter(diagnostics, e => e.severity != 'warning');
+	const warnings = _.filter(diagnostics,
+		e => e.severity == 'warning' && !isAllowedWarning(config, e));
+	if (errors.length || (config.strict && warnings.length)) {
 		throw new CompilationError(
-			_.map(output.errors, e => e.formattedMessage || e).join('\n'));
+			_.map([...errors, ...warnings], e => e.formattedMessage).join('\n'));
 	}
+	for (let warning of warnings)
+		console.warn(warning.formattedMessage.trim().yellow);
 	const targets = _.map(files, f => path.basename(f, '.sol'));
 	const contracts = {};
 	for (let name in output.contracts) {
@@ -74,91 +177,564 @@ async function compileAll(config) {
 		const targetName = path.basename(name, '.sol');
 		if (targetName in _contracts) {
 			const target = _contracts[targetName];
-			contracts[targetName] = {
-				abi: target.abi,
-				bytecode: target.evm.bytecode.object
-			};
+			// Record the definitions that produced this artifact.
+			const artifact = contracts[targetName] = {defs: config.defs};
+			for (let output of getOutputSelection(config)) {
+				// Skip outputs the compiler has nothing for.
+				if (_.has(target, output))
+					artifact[getArtifactField(output)] = _.get(target, output);
+			}
 		}
 	}
 	return contracts;
 }
 
-async function writeArtifacts(contracts) {
+// Check if a warning matches any in the target's `allowedWarnings`, which are
+// either regular expressions or substrings of the message.
+function isAllowedWarning(config, warning) {
+	return _.some(config.allowedWarnings, allowed => _.isRegExp(allowed) ?
+		allowed.test(warning.formattedMessage) :
+		_.includes(warning.formattedMessage, allowed));
+}
+
+async function writeArtifacts(config, contracts) {
 	return Promise.all(_.map(contracts,
 		(v,k) => util.writeFilePath(
-			path.resolve(project.BUILD_OUTPUT_ROOT, k + '.json'),
+			path.resolve(config.paths.artifacts, k + '.json'),
 			JSON.stringify(v, null, '\t'))));
 }
 
-async function loadConfig(target) {
-	const root = require(project.BUILD_CONFIG_PATH);
-	if (!(target in root))
-		throw new Error(`Build target "${target}" not found in build configuration`);
-	const cfg = _.cloneDeep(root[target]);
-	// Resolve all config paths.
-	cfg.units = _.map(cfg.units, f => path.resolve(project.SOL_ROOT, f));
+async function loadConfig(target, opts={}) {
+	const cfg = _.cloneDeep(project.getBuildConfig(target));
+	// Resolve all config paths. Sources are in sol/, unless the target says
+	// otherwise.
+	cfg.sources = cfg.sources ?
+		path.resolve(project.PROJECT_ROOT, cfg.sources) : project.SOL_ROOT;
+	cfg.units = _.map(cfg.units, f => path.resolve(cfg.sources, f));
+	cfg.target = target;
+	cfg.paths = project.getTargetPaths(target);
+	// Layer variants then individual definitions over the target's defs. Each
+	// variant sees the definitions layered before it.
+	for (let variant of opts.variants || [])
+		cfg.defs = _.assign({}, cfg.defs, loadVariant(variant, cfg.defs));
+	cfg.defs = _.assign({}, cfg.defs, opts.defs);
+	if (opts.strict)
+		cfg.strict = true;
+	cfg.outputs = getSupportedOutputs(cfg);
 	return cfg;
 }
 
-async function loadCache() {
+function getVariantPath(variant) {
+	if (/[\\/]|\.js(on)?$/.test(variant))
+		return path.resolve(variant);
+	return path.resolve(project.VARIANTS_ROOT, `${variant}.js`);
+}
+
+// A variant file exports either definition overrides or a function that
+// computes them from the definitions so far.
+function loadVariant(variant, defs) {
+	const file = getVariantPath(variant);
+	delete require.cache[file];
+	const overrides = require(file);
+	return _.isFunction(overrides) ? overrides(_.clone(defs)) : overrides;
+}
+
+// Parse a "NAME=value" definition, the way solpp's -D option does.
+function parseDef(def) {
+	const m = /^([a-z_][a-z0-9_]*)(\s*=(.*))?$/i.exec(def);
+	if (!m)
+		throw new Error(`Invalid definition: "${def}"`);
+	const raw = _.isNil(m[3]) ? 'true' : m[3].trim();
+	let value;
 	try {
-		const json = await fs.readFile(project.CACHE_PATH);
+		value = JSON.parse(raw);
+	} catch (err) {
+		value = raw;
+	}
+	return [m[1], value];
+}
+
+async function loadCache(config) {
+	try {
+		const json = await fs.readFile(config.paths.cache);
 		return JSON.parse(json);
 	} catch (err) {
 		return null;
 	}
 }
 
-async function computeInHash(config) {
-	const filesHash = await util.getTreeHash(project.SOL_ROOT);
-	const configHash = util.hashString(JSON.stringify(config));
-	return util.hashString(filesHash + configHash);
+async function writeCache(config, data) {
+	await util.writeFilePath(config.paths.cache, JSON.stringify(data));
+}
+
+function getUnitOutputPath(config, unit) {
+	return util.transplantFilePath(unit, config.sources, config.paths.src);
+}
+
+function getArtifactPath(config, unit) {
+	return path.resolve(config.paths.artifacts,
+		path.basename(unit, '.sol') + '.json');
+}
+
+// Cache entries are keyed by paths relative to the sources root.
+function toCacheKey(config, file) {
+	return path.relative(config.sources, file);
+}
+
+function fromCacheKey(config, key) {
+	return path.resolve(config.sources, key);
+}
+
+// Get a file and everything it (transitively) imports.
+function getDependencies(graph, file, deps=[]) {
+	if (!_.includes(deps, file)) {
+		deps.push(file);
+		for (let f of _.get(graph, [file, 'imports'], []))
+			getDependencies(graph, f, deps);
+	}
+	return deps;
+}
+
+async function tryHashFile(file) {
+	try {
+		return util.hashString(await fs.readFile(file));
+	} catch (err) {
+		if (err.code == 'ENOENT')
+			return null;
+		throw err;
+	}
+}
+
+async function isUnitStale(config, unit, cache) {
+	const key = toCacheKey(config, unit);
+	const cached = cache.units[key];
+	if (!cached)
+		return true;
+	for (let dep of getDependencies(cache.files, key)) {
+		const entry = cache.files[dep];
+		if (!entry || entry.hash != await tryHashFile(fromCacheKey(config, dep)))
+			return true;
+	}
+	if (cached.outHash != await tryHashFile(getUnitOutputPath(config, unit)))
+		return true;
+	if (config.bundles && !(await fs.exists(getBundlePath(config, unit))))
+		return true;
+	return !(await fs.exists(getArtifactPath(config, unit)));
+}
+
+async function wipeStaleOutputs(config, units) {
+	await util.wipeExcept(config.paths.src,
+		_.map(units, u => getUnitOutputPath(config, u)));
+	await util.wipeExcept(config.paths.artifacts,
+		_.map(units, u => getArtifactPath(config, u)));
+	await util.wipeExcept(config.paths.bundles,
+		_.map(units, u => getBundlePath(config, u)));
+}
+
+function getContractSize(artifact) {
+	return _.isString(artifact.deployedBytecode) ?
+		artifact.deployedBytecode.length / 2 : null;
+}
+
+async function getContractSizes(config, units, contracts) {
+	const sizes = {};
+	for (let unit of units) {
+		const name = path.basename(unit, '.sol');
+		const artifact = contracts[name] ||
+			JSON.parse(await fs.readFile(getArtifactPath(config, unit), 'utf-8'));
+		sizes[name] = getContractSize(artifact);
+	}
+	return sizes;
+}
+
+function reportContractSizes(sizes, previous) {
+	console.log('Deployed contract sizes:');
+	for (let name in sizes) {
+		const size = sizes[name];
+		if (_.isNil(size))
+			continue;
+		let line = `\t${name}: ${size} bytes`;
+		if (_.isNumber(previous[name]) && previous[name] != size) {
+			const delta = size - previous[name];
+			line += ` (${delta > 0 ? '+' : ''}${delta})`;
+		}
+		if (size > MAX_CONTRACT_SIZE)
+			line = `${line} exceeds ${MAX_CONTRACT_SIZE} byte limit!`.red.bold;
+		console.log(line);
+	}
+}
+
+async function build(config, opts={}) {
+	const configHash = util.hashString(JSON.stringify(config,
+		(k, v) => _.isRegExp(v) ? v.toString() : v));
+	const loaded = await loadCache(config);
+	let cache = opts.force ? null : loaded;
+	if (!cache || cache.configHash != configHash)
+		cache = {files: {}, units: {}};
+	let sizes = _.get(loaded, 'sizes', {});
+	const units = await getUnitFiles(config);
+	await wipeStaleOutputs(config, units);
+	const stale = [];
+	for (let unit of units) {
+		if (await isUnitStale(config, unit, cache))
+			stale.push(unit);
+	}
+	const generated = await generateSourceUnits(config, stale);
+	// Only compile units whose preprocessed output actually changed.
+	const changed = [];
+	for (let unit of generated) {
+		const outHash = await tryHashFile(unit.output);
+		const cached = cache.units[toCacheKey(config, unit.file)];
+		if (!cached || cached.outHash != outHash ||
+				!(await fs.exists(getArtifactPath(config, unit.file))))
+			changed.push(unit);
+	}
+	let contracts = {};
+	if (changed.length) {
+		contracts = await compileAll(config, _.map(changed, u => u.output),
+			_.zipObject(_.map(changed, u => getSourceName(config, u.output)),
+				_.map(changed, u => u.lineMap)));
+		const previous = sizes;
+		sizes = await getContractSizes(config, units, contracts);
+		reportContractSizes(sizes, previous);
+		if (config.enforceSizeLimit) {
+			const oversized = _.filter(_.keys(contracts),
+				k => sizes[k] > MAX_CONTRACT_SIZE);
+			if (oversized.length) {
+				// Don't leave older, deployable artifacts of these around.
+				await Promise.all(_.map(oversized, k => fse.remove(
+					path.resolve(config.paths.artifacts, `${k}.json`))));
+				throw new Error(`Contracts exceed the ${MAX_CONTRACT_SIZE} byte ` +
+					`deployed size limit: ${oversized.join(', ')}`);
+			}
+		}
+		await writeArtifacts(config, contracts);
+	}
+	if (config.bundles)
+		await writeBundles(config, _.map(generated, u => u.file));
+	// Rebuild the cache from the graphs of fresh and regenerated units.
+	const files = {};
+	const unitEntries = {};
+	for (let unit of units) {
+		const key = toCacheKey(config, unit);
+		const regenerated = _.find(generated, u => u.file == unit);
+		if (regenerated) {
+			for (let f in regenerated.graph) {
+				files[toCacheKey(config, f)] = {
+					hash: await tryHashFile(f),
+					imports: _.map(regenerated.graph[f], i => toCacheKey(config, i))
+				};
+			}
+		} else {
+			for (let dep of getDependencies(cache.files, key))
+				files[dep] = cache.files[dep];
+		}
+		unitEntries[key] = {
+			outHash: await tryHashFile(getUnitOutputPath(config, unit))
+		};
+	}
+	await writeCache(config, {
+		configHash: configHash,
+		files: files,
+		units: unitEntries,
+		sizes: sizes
+	});
+	await writeManifest(config, files, unitEntries);
+	return contracts;
+}
+
+function getBundlePath(config, unit) {
+	return path.resolve(config.paths.bundles,
+		path.basename(unit, '.sol') + '.json');
+}
+
+function getCompilerVersion() {
+	// Block explorers expect versions like "v0.5.2+commit.1df8f40c".
+	return 'v' + /^[^+]+\+commit\.[0-9a-f]+/.exec(solc.version())[0];
+}
+
+// Write a standard JSON input bundle for each unit's contract, with the exact
+// (preprocessed) sources and settings it was compiled with, so it can be
+// verified on a block explorer without rebuilding.
+async function writeBundles(config, units) {
+	for (let unit of units) {
+		const name = path.basename(unit, '.sol');
+		const output = getUnitOutputPath(config, unit);
+		const bundle = {
+			contractName: `${getSourceName(config, output)}:${name}`,
+			compilerVersion: getCompilerVersion(),
+			input: await createCompilerInput(config, [output])
+		};
+		await util.writeFilePath(getBundlePath(config, unit),
+			JSON.stringify(bundle, null, '\t'));
+	}
+}
+
+// Create bundles for deployed contract instances, adding their address and
+// ABI-encoded constructor arguments. `deployed` maps labels to
+// `{contract, address, args}`.
+async function bundleDeployed(target, deployed) {
+	const cfg = await loadConfig(target);
+	for (let label in deployed) {
+		const {contract, address, args} = deployed[label];
+		const unit = path.resolve(cfg.sources, `${contract}.sol`);
+		let bundle;
+		try {
+			bundle = JSON.parse(
+				await fs.readFile(getBundlePath(cfg, unit), 'utf-8'));
+		} catch (err) {
+			if (err.code == 'ENOENT')
+				throw new Error(`No bundle for "${contract}" in target "${target}". Build it first.`);
+			throw err;
+		}
+		const artifact = JSON.parse(
+			await fs.readFile(getArtifactPath(cfg, unit), 'utf-8'));
+		const ctor = _.find(artifact.abi, i => i.type == 'constructor');
+		const dst = path.resolve(cfg.paths.verification, `${label}.json`);
+		await util.writeFilePath(dst, JSON.stringify(_.assign(bundle, {
+			address: address,
+			constructorArguments: ctor ?
+				abi.encodeParameters(ctor.inputs, args || []).substr(2) : ''
+		}), null, '\t'));
+		console.log(`Wrote ${dst}`);
+	}
+}
+
+// Write the package entry point (index.js), which exports the ABIs of a build
+// target (release), the contract addresses each deployment target declares
+// (`addresses` in deploy.config.js), and the constants (including ERRORS).
+// Everything is inlined, so the package doesn't need the build directory.
+async function writePackageIndex(target='release', output=project.PACKAGE_INDEX_PATH) {
+	const artifacts = await project.getAllArtifacts(target);
+	if (_.isEmpty(artifacts))
+		throw new Error(`No artifacts for build target "${target}". Build it first.`);
+	const constants = require(project.CONSTANTS_PATH);
+	const exported = {
+		ABIS: _.mapValues(artifacts, a => a.abi),
+		ADDRESSES: getDeclaredAddresses(require(project.DEPLOY_CONFIG_PATH)),
+		CONSTANTS: constants,
+		ERRORS: constants.ERRORS
+	};
+	await util.writeFilePath(output, [
+		'// Generated by `node src/build package`. Do not edit.',
+		`'use strict'`,
+		`module.exports = ${JSON.stringify(exported, null, '\t')};`,
+		''
+	].join('\n'));
+	console.log(`Wrote ${output}`);
+}
+
+// Map each deployment target that declares `addresses` to its (checksummed)
+// contract addresses.
+function getDeclaredAddresses(deployConfig) {
+	const declared = _.pickBy(_.mapValues(deployConfig, t => t.addresses));
+	return _.mapValues(declared, (addresses, target) =>
+		_.mapValues(addresses, (address, label) => {
+			if (!ethjs.isValidAddress(address)) {
+				throw new Error(`Invalid address for "${label}" in ` +
+					`deployment target "${target}": "${address}"`);
+			}
+			return ethjs.toChecksumAddress(address);
+		}));
 }
 
-async function writeCache(data) {
-	await fs.writeFile(project.CACHE_PATH, JSON.stringify(data));
+// Write a manifest of everything that went into (and came out of) a build,
+// which can be checked later with `verify`.
+async function writeManifest(config, files, units) {
+	const bytecode = {};
+	for (let unit of _.keys(units)) {
+		const name = path.basename(unit, '.sol');
+		const artifact = JSON.parse(await fs.readFile(
+			getArtifactPath(config, fromCacheKey(config, unit)), 'utf-8'));
+		bytecode[name] = {
+			bytecode: util.hashString(artifact.bytecode),
+			deployedBytecode: util.hashString(artifact.deployedBytecode)
+		};
+	}
+	const manifest = {
+		target: config.target,
+		compiler: solc.version(),
+		optimizer: getOptimizerSettings(config),
+		defs: config.defs,
+		inputs: _.mapValues(files, f => f.hash),
+		sources: _.mapValues(units, u => u.outHash),
+		bytecode: bytecode
+	};
+	await util.writeFilePath(config.paths.manifest,
+		JSON.stringify(manifest, null, '\t'));
+	return manifest;
 }
 
-async function wipeGeneratedSource(config) {
-	const except = _.map(config.units,
-		f => util.transplantFilePath(f, project.SOL_ROOT,
-			project.BUILD_SOL_ROOT, f));
-	await util.wipeExcept(project.BUILD_SOL_ROOT, except);
+// Diff two objects, returning the (dotted) paths of every value that differs.
+function diffObjects(expected, actual, prefix=[]) {
+	if (!_.isPlainObject(expected) || !_.isPlainObject(actual)) {
+		return _.isEqual(expected, actual) ? [] :
+			[{path: prefix.join('.'), expected: expected, actual: actual}];
+	}
+	return _.flatten(_.map(_.union(_.keys(expected), _.keys(actual)),
+		k => diffObjects(expected[k], actual[k], [...prefix, k])));
+}
+
+// Rebuild the target of a manifest (with its config, unless another is given)
+// from scratch in a temporary directory and compare the result against the
+// manifest.
+async function verify(manifestPath, config) {
+	const expected = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+	const tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'upcity-verify-'));
+	try {
+		const cfg = _.clone(config || await loadConfig(expected.target));
+		cfg.paths = project.getOutputPaths(tmp);
+		cfg.defs = expected.defs;
+		cfg.optimizer = expected.optimizer.enabled ? expected.optimizer.runs : 0;
+		console.log(`Rebuilding target "${expected.target}" in ${tmp}...`);
+		await build(cfg, {force: true});
+		const actual = JSON.parse(await fs.readFile(cfg.paths.manifest, 'utf-8'));
+		const diffs = diffObjects(
+			_.pick(expected, ['compiler', 'inputs', 'sources', 'bytecode']),
+			_.pick(actual, ['compiler', 'inputs', 'sources', 'bytecode']));
+		for (let diff of diffs) {
+			console.log(`${diff.path}:`.bold);
+			console.log(`\texpected: ${diff.expected}`.red);
+			console.log(`\tactual:   ${diff.actual}`.green);
+		}
+		if (diffs.length)
+			throw new Error(`Build does not match manifest "${manifestPath}".`);
+		console.log('Build matches manifest.'.green.bold);
+	} finally {
+		await fse.remove(tmp);
+	}
 }
 
 function loadProgramArguments() {
 	const args = minimist(process.argv.slice(2), {
-		boolean: ['force'],
+		boolean: ['force', 'watch', 'strict'],
+		string: ['def', 'variant'],
 		alias: {
-			'force': ['f']
+			'force': ['f'],
+			'watch': ['w'],
+			'def': ['D'],
+			'variant': ['V']
 		}
 	});
 	args.target = args._[0];
 	if (_.isNil(args.target))
 		throw new Error('Deployment target must be given');
+	args.defs = _.fromPairs(_.map(_.compact(_.castArray(args.def)), parseDef));
+	args.variants = _.compact(_.castArray(args.variant));
 	return args;
 }
 
+function unloadConfig() {
+	delete require.cache[project.BUILD_CONFIG_PATH];
+	delete require.cache[project.CONSTANTS_PATH];
+}
+
+// Rebuild whenever the sources, build config, or constants change, until
+// closed. `load` loads the target's config, which is reloaded for each build.
+async function watch(load) {
+	let changed = true;
+	let building = false;
+	let flushing = null;
+	const watchers = {};
+
+	const rebuild = async () => {
+		try {
+			// Definitions may have changed, so always reload the config.
+			unloadConfig();
+			const cfg = await load();
+			await watchSources(cfg.sources);
+			const contracts = await build(cfg);
+			if (!_.isEmpty(contracts))
+				console.log(`Wrote artifacts: ${_.keys(contracts).join(', ')}`);
+		} catch (err) {
+			if (err instanceof CompilationError)
+				console.error(err.message);
+			else
+				console.error(err);
+		}
+	};
+
+	const flush = async () => {
+		if (building)
+			return;
+		building = true;
+		while (changed) {
+			changed = false;
+			await rebuild();
+		}
+		building = false;
+		console.log('Watching for changes...');
+	};
+
+	const onChange = _.debounce(() => {
+		if (!building)
+			flushing = flush();
+	}, 100);
+	const watchDir = (dir, filter) => fs.watch(dir, (event, name) => {
+		if (name && filter && !filter(path.resolve(dir, name)))
+			return;
+		changed = true;
+		onChange();
+	});
+
+	// Watch every directory under the sources root, picking up new ones (and
+	// dropping removed ones) before each build.
+	const watchSources = async (root) => {
+		const dirs = [root, ...await util.getTreeDirs(root)];
+		for (let dir of _.difference(_.keys(watchers), dirs)) {
+			watchers[dir].close();
+			delete watchers[dir];
+		}
+		for (let dir of _.difference(dirs, _.keys(watchers)))
+			watchers[dir] = watchDir(dir);
+	};
+
+	const configFiles = [project.BUILD_CONFIG_PATH, project.CONSTANTS_PATH];
+	const configWatcher = watchDir(project.PROJECT_ROOT,
+		f => _.includes(configFiles, f));
+	await flush();
+	return {
+		// Stop watching, waiting for any build in progress to finish.
+		close: async () => {
+			onChange.cancel();
+			configWatcher.close();
+			_.each(watchers, w => w.close());
+			await flushing;
+		}
+	};
+}
+
 async function main() {
 	const args = loadProgramArguments();
-	const cfg = await loadConfig(args.target);
-	let cached = await loadCache();
-	const inHash = await computeInHash(cfg);
-	let units = [];
-	if (args.force || !cached || cached.inHash != inHash) {
-		cached = null;
-		await wipeGeneratedSource(cfg);
-		units = await generateSourceUnits(cfg);
-	}
-	const outHash = await util.getTreeHash(project.BUILD_SOL_ROOT);
-	if (args.force || !cached || cached.outHash != outHash) {
-		await util.wipe(project.BUILD_OUTPUT_ROOT);
-		const contracts = await compileAll(cfg);
-		await writeArtifacts(contracts);
-	}
-	await writeCache({inHash: inHash, outHash: outHash});
+	if (args.target == 'bundle') {
+		if (!args._[1] || !args._[2])
+			throw new Error('A target and deployed contracts file must be given');
+		const deployed = JSON.parse(await fs.readFile(args._[2], 'utf-8'));
+		return bundleDeployed(args._[1], deployed.contracts || deployed);
+	}
+	if (args.target == 'verify') {
+		if (!args._[1])
+			throw new Error('A manifest file must be given');
+		return verify(args._[1]);
+	}
+	if (args.target == 'package')
+		return writePackageIndex();
+	if (args.watch)
+		return watch(() => loadConfig(args.target, args));
+	const cfg = await loadConfig(args.target, args);
+	await build(cfg, {force: args.force});
 }
 
+module.exports = {
+	CompilationError: CompilationError,
+	build: build,
+	verify: verify,
+	watch: watch,
+	loadConfig: loadConfig,
+	getSupportedOutputs: getSupportedOutputs,
+	writePackageIndex: writePackageIndex
+};
+
 if (require.main === module) {
 	(async () => {
 		try {
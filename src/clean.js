@@ -6,9 +6,16 @@ const util = require('./util');
 
 (async function() {
 	try {
-		await util.wipe(project.BUILD_SOL_ROOT);
-		await util.wipe(project.BUILD_OUTPUT_ROOT);
-		await fse.remove(project.CACHE_PATH)
+		for (let target of _.keys(require(project.BUILD_CONFIG_PATH))) {
+			const paths = project.getTargetPaths(target);
+			await util.wipe(paths.src);
+			await util.wipe(paths.artifacts);
+			await util.wipe(paths.bundles);
+			await util.wipe(paths.verification);
+			await fse.remove(paths.cache);
+			await fse.remove(paths.manifest);
+			await util.wipe(paths.root);
+		}
 	} catch (err) {
 		console.error(err);
 		process.exitCode = -1;
@@ -0,0 +1,194 @@
+'use strict'
+const _ = require('lodash');
+const fs = require('mz/fs');
+const path = require('path');
+const process = require('process');
+const readline = require('readline');
+const bip39 = require('bip39');
+const ethjs = {
+	util: require('ethereumjs-util'),
+	wallet: require('ethereumjs-wallet'),
+	hdkey: require('ethereumjs-wallet/hdkey')
+};
+const project = require('./project');
+
+// Environment variables credentials can be taken from.
+const ENV_VARS = {
+	key: 'UPCITY_DEPLOYER_KEY',
+	mnemonic: 'UPCITY_DEPLOYER_MNEMONIC',
+	keystore: 'UPCITY_DEPLOYER_KEYSTORE',
+	password: 'UPCITY_DEPLOYER_PASSWORD'
+};
+// The standard Ethereum BIP44 path; account indices are appended to it.
+const DEFAULT_HD_PATH = `m/44'/60'/0'/0`;
+const HD_PATH_PATTERN = /^m(\/\d+'?)*$/;
+// Fields that each identify a source of key material.
+const CREDENTIAL_FIELDS = ['key', 'mnemonic', 'keystore'];
+// Key material we've seen, which should never be printed.
+const SECRETS = new Set();
+
+function loadEnvCredentials(env=process.env) {
+	return _.pickBy(_.mapValues(ENV_VARS, name => env[name]));
+}
+
+// Take the key material from the first source (e.g., command line,
+// environment, config) that has any, so a key from one source is never
+// mixed with, or overridden by, a mnemonic or keystore from another.
+// A keystore password may come from any source.
+function selectCredentials(...sources) {
+	sources = _.compact(sources);
+	const source = _.find(sources,
+		s => _.some(CREDENTIAL_FIELDS, f => s[f])) || {};
+	const creds = _.pickBy(_.pick(source, CREDENTIAL_FIELDS));
+	if (creds.keystore) {
+		const withPassword = _.find(sources, s => s.password);
+		if (withPassword)
+			creds.password = withPassword.password;
+	}
+	return creds;
+}
+
+// Replace a config's credential fields with those selected from the
+// command line, the environment, and the config (in that order).
+function applyCredentials(cfg, args, env=process.env) {
+	const creds = selectCredentials(args, loadEnvCredentials(env), cfg);
+	return _.assign(_.omit(cfg, [...CREDENTIAL_FIELDS, 'password']), creds);
+}
+
+// Get the private key from the config's credentials, prompting for a keystore
+// password if one wasn't given. Returns undefined if there are none.
+async function getDeployerKey(cfg, opts={}) {
+	let key;
+	if (cfg.key) {
+		// Private key is explicitly given.
+		key = ethjs.util.addHexPrefix(cfg.key);
+	} else if (cfg.mnemonic) {
+		// Private key is from a BIP39 seed phrase.
+		addSecret(cfg.mnemonic);
+		key = mnemonicToKey(cfg.mnemonic, cfg.accountIndex, cfg.hdPath);
+	} else if (cfg.keystore) {
+		// Private key is from a keystore file.
+		const _path = path.resolve(path.dirname(project.DEPLOY_CONFIG_PATH),
+			cfg.keystore);
+		let pw = cfg.password;
+		if (!pw) {
+			const prompt = opts.prompt || promptPassword;
+			pw = await prompt(`Password for ${path.basename(_path)}: `);
+		}
+		pw = pw.trim();
+		if (!pw)
+			throw new Error('No password provided for keystore.');
+		addSecret(pw);
+		const contents = await fs.readFile(_path, 'utf-8');
+		const wallet = ethjs.wallet.fromV3(contents, pw, true);
+		key = ethjs.util.bufferToHex(wallet.getPrivateKey());
+	}
+	if (key) {
+		addSecret(key);
+		addSecret(ethjs.util.stripHexPrefix(key));
+	}
+	return key;
+}
+
+function mnemonicToKey(mnemonic, idx=0, hdPath=DEFAULT_HD_PATH) {
+	const wallet = mnemonicToHDKey(mnemonic)
+		.derivePath(getHDPath(idx, hdPath)).getWallet();
+	return ethjs.util.bufferToHex(wallet.getPrivateKey());
+}
+
+// List the addresses (but never the keys) of the first `count` accounts
+// derived from a mnemonic.
+function getMnemonicAddresses(mnemonic, count=10, hdPath=DEFAULT_HD_PATH) {
+	const hdkey = mnemonicToHDKey(mnemonic);
+	return _.times(count, idx => {
+		const _path = getHDPath(idx, hdPath);
+		const wallet = hdkey.derivePath(_path).getWallet();
+		return {
+			index: idx,
+			path: _path,
+			address: ethjs.util.toChecksumAddress(wallet.getAddressString())
+		};
+	});
+}
+
+function mnemonicToHDKey(mnemonic) {
+	const m = /^\s*(.+)\s*$/.exec(mnemonic);
+	const phrase = m[1].trim().replace(/\s+/g, ' ');
+	return ethjs.hdkey.fromMasterSeed(bip39.mnemonicToSeed(phrase));
+}
+
+function getHDPath(idx, hdPath) {
+	hdPath = (hdPath || DEFAULT_HD_PATH).replace(/\/+$/, '');
+	if (!HD_PATH_PATTERN.test(hdPath))
+		throw new Error(`Invalid HD path: "${hdPath}"`);
+	return `${hdPath}/${idx || 0}`;
+}
+
+function keyToAddress(key) {
+	return ethjs.util.toChecksumAddress(
+		ethjs.util.bufferToHex(
+			ethjs.util.privateToAddress(
+				ethjs.util.toBuffer(key))));
+}
+
+// Prompt for a password on the terminal without echoing what's typed.
+function promptPassword(query, opts={}) {
+	const input = opts.input || process.stdin;
+	const output = opts.output || process.stderr;
+	const rl = readline.createInterface({
+		input: input,
+		output: output,
+		terminal: true
+	});
+	let muted = false;
+	rl._writeToOutput = s => {
+		if (!muted)
+			output.write(s);
+	};
+	return new Promise((accept, reject) => {
+		let answered = false;
+		rl.on('close', () => {
+			if (!answered)
+				reject(new Error('Password prompt was cancelled.'));
+		});
+		rl.on('SIGINT', () => rl.close());
+		rl.question(query, answer => {
+			answered = true;
+			output.write('\n');
+			rl.close();
+			accept(answer);
+		});
+		muted = true;
+	});
+}
+
+function addSecret(secret) {
+	if (secret)
+		SECRETS.add(secret);
+}
+
+// Scrub any key material we know of from some text before it's printed.
+function redact(text) {
+	text = _.toString(text);
+	// Replace longer secrets first, in case one contains another.
+	const secrets = _.sortBy([...SECRETS], s => -s.length);
+	for (let secret of secrets)
+		text = text.split(secret).join('<redacted>');
+	return text;
+}
+
+module.exports = {
+	ENV_VARS: ENV_VARS,
+	DEFAULT_HD_PATH: DEFAULT_HD_PATH,
+	HD_PATH_PATTERN: HD_PATH_PATTERN,
+	CREDENTIAL_FIELDS: CREDENTIAL_FIELDS,
+	loadEnvCredentials: loadEnvCredentials,
+	selectCredentials: selectCredentials,
+	applyCredentials: applyCredentials,
+	getDeployerKey: getDeployerKey,
+	mnemonicToKey: mnemonicToKey,
+	getMnemonicAddresses: getMnemonicAddresses,
+	keyToAddress: keyToAddress,
+	promptPassword: promptPassword,
+	redact: redact
+};
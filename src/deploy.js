@@ -2,57 +2,58 @@
 require('colors');
 const _ = require('lodash');
 const bn = require('bn-str-256');
-const path = require('path');
 const fs = require('mz/fs');
-const bip39 = require('bip39');
+const path = require('path');
 const net = require('net');
 const ethjs = {
-	util: require('ethereumjs-util'),
-	wallet: require('ethereumjs-wallet'),
-	hdkey: require('ethereumjs-wallet/hdkey')
+	util: require('ethereumjs-util')
 };
 const FlexEther = require('flex-ether');
 const FlexContract = require('flex-contract');
 const minimist = require('minimist');
+const crypto = require('crypto');
 const project = require('./project');
+const {Deployment, getRecordPath, loadRecord, isInitialized} =
+	require('./deployment');
+const offline = require('./offline');
+const {OfflineDeployment} = offline;
+const credentials = require('./credentials');
+const {getDeployerKey, keyToAddress} = credentials;
+const {TransactionSender} = require('./sender');
+const util = require('./util');
+const {getChainId} = util;
+const schema = require('./schema');
 
-async function getDeployerKey(cfg) {
-	if (cfg.key) {
-		// Private key is explicitly given.
-		return ethjs.util.addHexPrefix(cfg.key);
-	} else if (cfg.mnemonic) {
-		// Private key is from a BIP39 seed phrase.
-		return mnemonicToKey(cfg.mnemonic, cfg.accountIndex);
-	} else if (cfg.keystore) {
-		// Private key is from a keystore file.
-		const pw = cfg.pasword.trim();
-		if (!pw)
-			throw new Error('No password provided for keystore.');
-		const _path = path.resolve(path.dirname(project.DEPLOY_CONFIG_PATH),
-			cfg.keystore);
-		const contents = await fs.readFile(_path);
-		const wallet = ethjs.wallet.fromV3(content, pw, true);
-		return ethjs.util.bufferToHex(wallet.getPrivateKey());
-	}
-}
-
-function mnemonicToKey(mnemonic, idx=0) {
-	const m = /^\s*(.+)\s*$/.exec(mnemonic);
-	const phrase = m[1].trim().replace(/\s+/g, ' ');
-	idx = idx || 0;
-	const seed = bip39.mnemonicToSeedHex(phrase);
-	const _path = `m/44'/0'/0/${idx}`;
-	const wallet = ethjs.hdkey.fromMasterSeed(seed).derivePath(_path).getWallet();
-	return ethjs.util.bufferToHex(wallet.getPrivateKey());
-}
+// Commands besides deploying, which come before the target.
+const COMMANDS = ['check', 'accounts', 'prepare', 'sign', 'broadcast'];
+// Commands that operate on a transaction batch file instead of a target.
+const BATCH_COMMANDS = ['sign', 'broadcast'];
+const DRY_RUN_GAS_PRICE = 20e9;
+const DRY_RUN_BALANCE = bn.toHex(bn.mul(1e6, '1e18'));
+// Chain ID of the Ethereum main network, where mistakes cost real ether.
+const MAINNET_CHAIN_ID = 1;
 
 async function loadConfig(target) {
 	const cfg = require(project.DEPLOY_CONFIG_PATH);
 	if (!(target in cfg))
 		throw new Error(`Target "${target}" not found in deployment configuration.`)
+	// Catch config mistakes before connecting to anything.
+	schema.validateTarget(target, cfg[target], await loadSecrets());
 	return cfg[target];
 }
 
+// Load secrets.json (which deploy.config.js folds into every target), if it
+// exists.
+async function loadSecrets() {
+	try {
+		return JSON.parse(await fs.readFile(project.SECRETS_PATH, 'utf-8'));
+	} catch (err) {
+		if (err.code == 'ENOENT')
+			return {};
+		throw err;
+	}
+}
+
 function loadProgramArguments() {
 	const args = minimist(process.argv.slice(2), {
 		alias: {
@@ -62,7 +63,9 @@ function loadProgramArguments() {
 			'password': ['p'],
 			'gas': ['g'],
 			'account': ['a'],
-			'account-index': ['n']
+			'account-index': ['n'],
+			'output': ['o'],
+			'yes': ['y']
 		},
 		string: [
 			'mnemonic',
@@ -73,14 +76,28 @@ function loadProgramArguments() {
 			'account',
 			'infura-key',
 			'network',
-			'deployer'
-		]
+			'deployer',
+			'game',
+			'market',
+			'hd-path',
+			'nonce',
+			'output',
+			'deployments'
+		],
+		boolean: ['fresh', 'dry-run', 'yes']
 	});
-	const target = args._[0];
-	if (_.isNil(target))
-		throw new Error('Deployment target must be given');
+	const command = _.includes(COMMANDS, args._[0]) ? args._[0] : 'deploy';
+	const target = command == 'deploy' ? args._[0] : args._[1];
+	if (_.isNil(target)) {
+		throw new Error(_.includes(BATCH_COMMANDS, command) ?
+			'Transaction batch file must be given' :
+			'Deployment target must be given');
+	}
 	return {
-		target: target,
+		command: command,
+		// Batch commands take a file instead of a target.
+		file: _.includes(BATCH_COMMANDS, command) ? target : undefined,
+		target: _.includes(BATCH_COMMANDS, command) ? undefined : target,
 		mnemonic: args['mnemonic'],
 		key: args['key'],
 		keystore: args['keystore'],
@@ -89,17 +106,52 @@ function loadProgramArguments() {
 		account: args['account'],
 		provider: args['provider'],
 		accountIndex: args['account-index'],
+		hdPath: args['hd-path'],
+		count: args['count'],
 		network: args['network'],
 		infuraKey: args['infura-key'],
 		deployer: args._['deployer'],
-		target: target
+		fresh: args['fresh'],
+		dryRun: args['dry-run'],
+		game: args['game'],
+		market: args['market'],
+		nonce: args['nonce'],
+		output: args['output'],
+		deployments: args['deployments'],
+		yes: args['yes']
 	};
 }
 
 async function loadContracts(cfg, eth) {
+	const buildTarget = cfg.buildTarget || 'release';
 	const artifacts = await (_.isArray(cfg.contracts) ?
-		project.getArtifacts(cfg.contracts) : project.getAllArtifacts());
-	return _.mapValues(artifacts, a => createContract(a, eth, cfg));
+		project.getArtifacts(buildTarget, cfg.contracts) :
+		project.getAllArtifacts(buildTarget));
+	checkReleaseArtifacts(buildTarget, artifacts);
+	const contracts = {};
+	for (let name in artifacts) {
+		contracts[name] = _.assign(createContract(artifacts[name], eth, cfg), {
+			artifactName: name,
+			artifactHash: await project.getArtifactHash(buildTarget, name)
+		});
+	}
+	return contracts;
+}
+
+function checkReleaseArtifacts(buildTarget, artifacts) {
+	// Refuse to ship anything built with TEST definitions.
+	for (let name in artifacts) {
+		if (_.get(artifacts[name], ['defs', 'TEST'])) {
+			throw new Error(`Artifact "${name}" (from build target "${buildTarget}") ` +
+				'was built with TEST definitions.');
+		}
+		const testFns = _.filter(artifacts[name].abi,
+			i => i.type == 'function' && /^__/.test(i.name));
+		if (testFns.length) {
+			throw new Error(`Artifact "${name}" contains TEST-only functions: ` +
+				_.map(testFns, f => f.name).join(', '));
+		}
+	}
 }
 
 function createContract(artifact, eth, cfg) {
@@ -134,66 +186,514 @@ function hookContractMethods(contract, defaults) {
 	}
 	// Override clone() to hook the clone's methods too.
 	const clone = _.bind(contract.clone, contract);
-	contract.clone = (...args) => hookContractMethods(clone(...args), defaults);
+	contract.clone = (...args) => _.assign(
+		hookContractMethods(clone(...args), defaults),
+		_.pick(contract, ['artifactName', 'artifactHash']));
 	return contract;
 }
 
-function keyToAddress(key) {
-	return ethjs.util.toChecksumAddress(
-		ethjs.util.bufferToHex(
-			ethjs.util.privateToAddress(
-				ethjs.util.toBuffer(key))));
+async function deploy(opts) {
+	const account = opts.config.account ?
+		opts.config.account : keyToAddress(opts.config.key);
+	console.log(`${opts.dryRun ? 'Simulating deployment' : 'Deploying'} ` +
+		`to "${opts.target.bold}" from ${account.blue.bold}...`);
+	const chainId = await getChainId(opts.eth);
+	const record = opts.dryRun ?
+		null : await loadResumableRecord(opts.target, chainId, opts.config);
+	const deployment = new Deployment({
+		target: opts.target,
+		record: record,
+		chainId: chainId,
+		deployer: account,
+		confirmations: opts.config.confirmations,
+		persist: !opts.dryRun,
+		deployments: opts.config.deployments,
+		sender: createSender(opts.config, opts.eth, account, chainId)
+	});
+	await runDeployer(opts, deployment, account);
+	if (opts.dryRun)
+		return deployment;
+	await deployment.save();
+	console.log('Deployment recorded in ' +
+		getRecordPath(opts.target, opts.config.deployments).bold);
+	return deployment;
 }
 
-async function deploy(opts) {
+function createSender(cfg, eth, account, chainId) {
+	return new TransactionSender({
+		eth: eth,
+		chainId: chainId,
+		key: cfg.key,
+		from: account,
+		gasPrice: cfg.gasPrice,
+		maxGasPrice: cfg.maxGasPrice,
+		replaceTimeout: _.isNil(cfg.replaceTimeout) ?
+			undefined : cfg.replaceTimeout * 1000
+	});
+}
+
+async function runDeployer(opts, deployment, account) {
 	if (!_.isFunction(opts.deployer))
 		throw new Error('A "deployer" function or script was not provided');
-	const account = opts.config.account ?
-		opts.config.account : keyToAddress(opts.config.key);
-	console.log(`Deploying to "${opts.target.bold}" from ${account.blue.bold}...`);
-	const contracts = await loadContracts(opts.config, opts.eth);
-	return opts.deployer({
-		contracts: contracts,
+	await opts.deployer({
+		contracts: await loadContracts(opts.config, opts.eth),
 		eth: opts.eth,
 		target: opts.target,
 		config: opts.config,
-		account: account
+		account: account,
+		deployment: deployment
 	});
 }
 
-async function main() {
-	const args = loadProgramArguments();
-	const cfg = _.defaults({}, args, await loadConfig(args.target));
-	const eth = new FlexEther({
+// Load the target's existing deployment record to resume from, unless
+// starting fresh (`cfg.fresh`).
+async function loadResumableRecord(target, chainId, cfg) {
+	const record = cfg.fresh ? null : await loadRecord(target, cfg.deployments);
+	if (record) {
+		if (record.chainId != chainId) {
+			throw new Error(`Existing deployment record for "${target}" ` +
+				`is for chain ${record.chainId}, not ${chainId}. ` +
+				'Pass --fresh to start a new deployment.');
+		}
+		console.log('Resuming deployment from ' +
+			getRecordPath(target, cfg.deployments).bold);
+	}
+	return record;
+}
+
+async function dryRun(opts) {
+	const deployment = await simulate(opts);
+	reportDryRun(deployment, deployment.gasPrice);
+}
+
+// Run the deployer against an in-process ganache chain instead of the
+// target's network. Nothing is ever broadcast.
+async function simulate(opts) {
+	const ganache = require('ganache-cli');
+	const cfg = _.clone(opts.config);
+	// The simulated chain has no ENS, so resolve authority names on the
+	// target's network first.
+	if (cfg.authorities)
+		cfg.authorities = await resolveAddresses(cfg, cfg.authorities);
+	// Use the deployer's key if we have it, or else any key will do.
+	const key = (await getDeployerKey(cfg)) ||
+		ethjs.util.bufferToHex(crypto.randomBytes(32));
+	if (!cfg.gasPrice) {
+		console.warn(`No gasPrice configured, assuming ${DRY_RUN_GAS_PRICE / 1e9} gwei.`
+			.yellow);
+		cfg.gasPrice = DRY_RUN_GAS_PRICE;
+	}
+	const provider = ganache.provider({
+		accounts: [{secretKey: key, balance: DRY_RUN_BALANCE}],
+		gasPrice: bn.toHex(cfg.gasPrice)
+	});
+	_.assign(cfg, {key: key, account: undefined, confirmations: 0});
+	const deployment = await deploy(_.assign({}, opts, {
+		config: cfg,
+		eth: new FlexEther({provider: provider}),
+		dryRun: true
+	}));
+	return _.assign(deployment, {gasPrice: cfg.gasPrice});
+}
+
+// Create a batch of unsigned transactions for the remaining deployment steps,
+// to be signed offline. Gas limits come from a simulation of the deployment.
+async function prepare(opts) {
+	const cfg = _.clone(opts.config);
+	if (!cfg.account)
+		throw new Error('The (offline) deployer account must be given (--account).');
+	if (cfg.authorities)
+		cfg.authorities = await resolveAddresses(cfg, cfg.authorities);
+	console.log('Simulating deployment to estimate gas...'.bold);
+	const simulated = await simulate(_.assign({}, opts, {config: cfg}));
+	const gasUsed = _.mapValues(
+		_.assign({}, simulated.contracts, simulated.calls), s => s.gasUsed);
+	const eth = createEth(cfg);
+	const chainId = await getChainId(eth);
+	const account = ethjs.util.toChecksumAddress(cfg.account);
+	const deployment = new OfflineDeployment({
+		target: opts.target,
+		chainId: chainId,
+		from: account,
+		nonce: _.isNil(cfg.nonce) ?
+			await eth.getTransactionCount(account) : _.toNumber(cfg.nonce),
+		gasPrice: cfg.gasPrice || await eth.getGasPrice(),
+		gasUsed: gasUsed,
+		record: await loadResumableRecord(opts.target, chainId, cfg)
+	});
+	console.log(`Preparing transactions for "${opts.target.bold}" ` +
+		`from ${account.blue.bold}...`.bold);
+	await runDeployer(_.assign({}, opts, {config: cfg, eth: eth}),
+		deployment, account);
+	const batch = deployment.toBatch();
+	const file = cfg.output || getBatchPath(opts.target, 'unsigned', cfg);
+	await offline.writeBatch(file, batch);
+	console.log(`Wrote ${batch.transactions.length} unsigned transactions ` +
+		`to ${file.bold}`);
+}
+
+// Sign a batch of transactions with a local key.
+async function sign(opts) {
+	const batch = await offline.loadBatch(opts.file);
+	const key = await getDeployerKey(opts.config);
+	if (!key)
+		throw new Error('A key, mnemonic, or keystore must be given to sign with.');
+	const signed = offline.signBatch(batch, key);
+	const file = opts.config.output ||
+		opts.file.replace(/(\.unsigned)?\.json$/i, '') + '.signed.json';
+	await offline.writeBatch(file, signed);
+	console.log(`Signed ${signed.transactions.length} transactions ` +
+		`from ${signed.from.blue.bold} to ${file.bold}`);
+}
+
+// Broadcast a signed batch of transactions and record them in the target's
+// deployment record.
+async function broadcast(opts) {
+	const batch = await offline.loadBatch(opts.file);
+	await checkChainId(batch.target, opts.config, opts.eth);
+	const maxCost = bn.sum(..._.map(batch.transactions,
+		t => bn.sum(bn.mul(t.tx.gasLimit, t.tx.gasPrice), t.tx.value)));
+	const confirmed = await confirmMainnet(
+		_.assign({}, opts.config, {account: batch.from}), opts.eth,
+		`Broadcasting ${batch.transactions.length} transactions`,
+		[`Maximum cost: ${toEther(maxCost).bold}`], maxCost);
+	if (!confirmed)
+		return;
+	const record = await loadRecord(batch.target, opts.config.deployments);
+	if (record && record.chainId != batch.chainId) {
+		throw new Error(`Existing deployment record for "${batch.target}" ` +
+			`is for chain ${record.chainId}, not ${batch.chainId}.`);
+	}
+	// Batches of admin transactions aren't part of the deployment, so they
+	// don't get recorded.
+	const persist = batch.persist !== false;
+	const deployment = new Deployment({
+		target: batch.target,
+		record: record,
+		chainId: batch.chainId,
+		deployer: batch.from,
+		persist: persist,
+		deployments: opts.config.deployments
+	});
+	const confirmations = _.isNil(opts.config.confirmations) ?
+		deployment.confirmations : opts.config.confirmations;
+	await offline.broadcastBatch(opts.eth, batch, deployment, confirmations);
+	if (persist)
+		console.log('Deployment recorded in ' +
+			getRecordPath(batch.target, opts.config.deployments).bold);
+}
+
+// Refuse to use a provider that isn't connected to the chain the target
+// expects.
+async function checkChainId(target, cfg, eth) {
+	if (_.isNil(cfg.chainId))
+		throw new Error(`Target "${target}" does not declare a chainId.`);
+	const chainId = await getChainId(eth);
+	if (chainId != cfg.chainId) {
+		throw new Error(`Target "${target}" expects chain ${cfg.chainId}, ` +
+			`but the provider is connected to chain ${chainId}.`);
+	}
+	return chainId;
+}
+
+// On mainnet, show what's about to happen and ask whether to go ahead
+// (unless --yes). `lines` describe the `cost`. Returns false if cancelled.
+async function confirmMainnet(cfg, eth, title, lines, cost) {
+	if (cfg.yes || (await getChainId(eth)) != MAINNET_CHAIN_ID)
+		return true;
+	const balance = await eth.getBalance(cfg.account);
+	console.log(`\n${title} on ${'MAINNET'.red.bold}:`.bold);
+	for (let line of lines)
+		console.log(`\t${line}`);
+	console.log(`\tDeployer: ${cfg.account.blue.bold} ` +
+		`(balance: ${toEther(balance).bold})`);
+	if (bn.gt(cost, balance))
+		console.warn('\tThe deployer cannot afford this!'.red.bold);
+	if (await util.confirm('Continue?'))
+		return true;
+	console.log('Cancelled.');
+	return false;
+}
+
+// Confirm a mainnet deployment, estimating its cost with a simulation.
+async function confirmMainnetDeploy(opts) {
+	const cfg = opts.config;
+	if (cfg.yes || (await getChainId(opts.eth)) != MAINNET_CHAIN_ID)
+		return true;
+	const gasPrice = cfg.gasPrice || await opts.eth.getGasPrice();
+	console.log('Simulating deployment to estimate its cost...'.bold);
+	const simulated = await simulate(_.assign({}, opts,
+		{config: _.assign({}, cfg, {gasPrice: gasPrice})}));
+	const {totalGas, totalCost} = getDeploymentCost(simulated, gasPrice);
+	return confirmMainnet(cfg, opts.eth, `Deploying "${opts.target}"`, [
+		`Gas price: ${bn.div(gasPrice, 1e9)} gwei`,
+		`Estimated cost: ${toEther(totalCost).bold} (${totalGas} gas, ` +
+			'including deposits; less if resuming)'
+	], totalCost);
+}
+
+// Batches are written alongside deployment records, by default.
+function getBatchPath(target, kind, cfg={}) {
+	return path.resolve(cfg.deployments || project.DEPLOYMENTS_ROOT,
+		`${target}.${kind}.json`);
+}
+
+async function resolveAddresses(cfg, addrs) {
+	if (_.every(addrs, a => ethjs.util.isValidAddress(a)))
+		return addrs;
+	const eth = createEth(cfg);
+	return Promise.all(_.map(addrs, a => eth.resolveAddress(a)));
+}
+
+// Total the gas and ether (including deposits) used by a (simulated)
+// deployment.
+function getDeploymentCost(deployment, gasPrice) {
+	const steps = _.assign({}, deployment.contracts, deployment.calls);
+	const totalGas = bn.sum(_.map(steps, s => s.gasUsed));
+	const gasCost = bn.mul(totalGas, gasPrice);
+	const deposits = _.pickBy(_.mapValues(deployment.calls, c => c.value));
+	return {
+		steps: steps,
+		totalGas: totalGas,
+		gasCost: gasCost,
+		deposits: deposits,
+		totalCost: bn.sum(gasCost, ..._.values(deposits))
+	};
+}
+
+function reportDryRun(deployment, gasPrice) {
+	const {steps, totalGas, gasCost, deposits, totalCost} =
+		getDeploymentCost(deployment, gasPrice);
+	console.log(`\nDry run (at ${bn.div(gasPrice, 1e9)} gwei gas price):`.bold);
+	for (let name in steps) {
+		const gas = steps[name].gasUsed;
+		console.log(`\t${name}: ${gas} gas (${toEther(bn.mul(gas, gasPrice))})`);
+	}
+	console.log(`\tTotal gas: ${totalGas} (${toEther(gasCost)})`.bold);
+	for (let name in deposits)
+		console.log(`\t${name} deposit: ${toEther(deposits[name])}`.bold);
+	console.log(`\tTotal ether required: ${toEther(totalCost)}`.green.bold);
+	// Show addresses as the contract labels they belong to.
+	const labels = _.fromPairs(_.map(deployment.contracts,
+		(c, label) => [c.address, label]));
+	const describe = v => _.isArray(v) ?
+		`[${_.map(v, describe).join(', ')}]` : (labels[v] || v).toString();
+	console.log('Wiring:'.bold);
+	const describeArgs = args => `(${_.map(args, describe).join(', ')})`;
+	for (let label in deployment.contracts) {
+		const c = deployment.contracts[label];
+		console.log(`\t${label.bold} = new ${c.contract}${describeArgs(c.args)}` +
+			` @ ${c.address.blue}`);
+	}
+	for (let name in deployment.calls) {
+		const c = deployment.calls[name];
+		console.log(`\t${name.bold}: ${c.contract}.${c.method}${describeArgs(c.args)}`);
+	}
+}
+
+function toEther(wei) {
+	return `${bn.div(wei, '1e18')} ETH`;
+}
+
+// Verify the on-chain wiring of a deployment, using the game and market
+// addresses from the deployment record (or the config/command line).
+async function check(opts) {
+	const cfg = opts.config;
+	const record = (await loadRecord(opts.target, cfg.deployments)) ||
+		{contracts: {}};
+	const addresses = await getDeployedAddresses(opts.target, cfg);
+	const {RESOURCE_NAMES, RESOURCE_SYMBOLS} = require(project.CONSTANTS_PATH);
+	const contracts = await loadContracts(cfg, opts.eth);
+	const game = contracts.UpcityGame.clone({address: addresses.game});
+	const market = contracts.UpcityMarket.clone({address: addresses.market});
+	const authorities = _.map(await resolveAddresses(cfg, cfg.authorities || []),
+		a => ethjs.util.toChecksumAddress(a));
+	// The deployer makes the first authority the genesis player.
+	const genesisPlayer = _.first(authorities);
+
+	console.log(`Checking "${opts.target.bold}" deployment ` +
+		`(game: ${addresses.game.blue.bold}, market: ${addresses.market.blue.bold})...`);
+	const results = [];
+	const expect = async (desc, fn) => {
+		let error = null;
+		try {
+			const r = await fn();
+			if (r !== true)
+				error = r ? r.toString() : 'false';
+		} catch (err) {
+			error = err.message;
+		}
+		results.push({desc: desc, error: error});
+		if (error)
+			console.log(`\t${'FAIL'.red.bold} ${desc}: ${error}`);
+		else
+			console.log(`\t${'PASS'.green.bold} ${desc}`);
+	};
+	const expectEqual = (desc, fn, expected) => expect(desc, async () => {
+		const actual = await fn();
+		return actual == expected || `expected ${expected}, got ${actual}`;
+	});
+
+	// Only the deployer (the contracts' creator) can tell if they're initialized.
+	if (record.deployer) {
+		await expectEqual('game is initialized',
+			() => isInitialized(game, record.deployer), true);
+		await expectEqual('market is initialized',
+			() => isInitialized(market, record.deployer), true);
+	}
+	let tokens = [];
+	await expect(`market has ${RESOURCE_NAMES.length} tokens`, async () => {
+		tokens = await market.getTokens();
+		return tokens.length == RESOURCE_NAMES.length ||
+			`got ${tokens.length} tokens`;
+	});
+	for (let [i, name] of RESOURCE_NAMES.entries()) {
+		const token = contracts.UpcityResourceTokenProxy.clone(
+			{address: tokens[i]});
+		const recorded = _.get(record.contracts, [name, 'address']);
+		if (recorded) {
+			await expectEqual(`market token ${i} is the "${name}" proxy`,
+				() => tokens[i], recorded);
+		}
+		await expectEqual(`market token ${i} name is "${name}"`,
+			() => token.name(), name);
+		await expectEqual(`market token ${i} symbol is "${RESOURCE_SYMBOLS[i]}"`,
+			() => token.symbol(), RESOURCE_SYMBOLS[i]);
+	}
+	await expectEqual('game is an authority on the market',
+		() => market.isAuthority(addresses.game), true);
+	for (let authority of authorities) {
+		await expectEqual(`${authority} is an authority on the game`,
+			() => game.isAuthority(authority), true);
+	}
+	if (genesisPlayer) {
+		await expectEqual(`genesis tile <0,0> is owned by ${genesisPlayer}`,
+			async () => (await game.describeTile(0, 0)).owner, genesisPlayer);
+	}
+
+	const failed = _.filter(results, r => r.error);
+	if (failed.length) {
+		throw new Error(
+			`${failed.length} of ${results.length} deployment checks failed.`);
+	}
+	console.log(`All ${results.length} deployment checks passed.`.green.bold);
+}
+
+// Print the addresses derived from the configured mnemonic, to help find the
+// right account index.
+function listAccounts(cfg) {
+	if (!cfg.mnemonic)
+		throw new Error('Listing accounts requires a mnemonic.');
+	const count = _.isNil(cfg.count) ? 10 : _.toNumber(cfg.count);
+	const accounts = credentials.getMnemonicAddresses(
+		cfg.mnemonic, count, cfg.hdPath);
+	for (let {index, path, address} of accounts)
+		console.log(`${_.padStart(index, 3)}: ${address.blue.bold} (${path})`);
+}
+
+// Fill in the config's key (if any) and account from its credentials.
+async function loadAccount(cfg, eth) {
+	cfg.key = await getDeployerKey(cfg);
+	if (cfg.account)
+		cfg.account = ethjs.util.addHexPrefix(cfg.account);
+	else if (cfg.key)
+		cfg.account = keyToAddress(cfg.key);
+	else
+		cfg.account = await eth.getDefaultAccount();
+	if (!cfg.account)
+		throw new Error('Cannot determine deployer account');
+	return cfg.account;
+}
+
+// Get the game and market addresses from the command line (or config), the
+// target's declared `addresses`, or else its deployment record.
+async function getDeployedAddresses(target, cfg) {
+	const record = (await loadRecord(target, cfg.deployments)) ||
+		{contracts: {}};
+	const getAddress = label => _.get(cfg.addresses, label) ||
+		_.get(record.contracts, [label, 'address']);
+	const addresses = {
+		game: cfg.game || getAddress('UpcityGame'),
+		market: cfg.market || getAddress('UpcityMarket')
+	};
+	for (let name in addresses) {
+		if (!addresses[name])
+			throw new Error(`No ${name} address configured or recorded for "${target}".`);
+	}
+	return addresses;
+}
+
+function createEth(cfg) {
+	return new FlexEther({
 		net: net,
 		provider: cfg.provider,
 		network: cfg.network,
 		infuraKey: cfg.infuraKey
 	});
+}
 
-	_.assign(cfg, {
-		account: cfg.account ?
-			ethjs.util.addHexPrefix(cfg.account) : await eth.getDefaultAccount(),
-		key: await getDeployerKey(cfg)
-	});
-	if (!cfg.account && !cfg.key)
-		throw new Error('Cannot determine deployer account');
+function loadDeployer(cfg) {
 	// If the deployer is a string, assume it's a path to a script.
-	let deployer = cfg.deployer;
 	if (_.isString(cfg.deployer)) {
 		const _path = path.resolve(
 			path.dirname(project.DEPLOY_CONFIG_PATH), cfg.deployer);
-		deployer = require(_path);
+		return require(_path);
 	}
-	return deploy({config: cfg, eth: eth, target: args.target, deployer: deployer});
+	return cfg.deployer;
 }
 
+async function main() {
+	const args = loadProgramArguments();
+	// Batch files say which target they're for.
+	const target = args.target || (await offline.loadBatch(args.file)).target;
+	const cfg = credentials.applyCredentials(
+		_.defaults({}, args, await loadConfig(target)), args);
+	if (args.command == 'sign')
+		return sign({config: cfg, file: args.file});
+	if (args.command == 'accounts')
+		return listAccounts(cfg);
+	const deployer = loadDeployer(cfg);
+	if (cfg.dryRun)
+		return dryRun({config: cfg, target: args.target, deployer: deployer});
+	if (args.command == 'prepare') {
+		await checkChainId(target, cfg, createEth(cfg));
+		return prepare({config: cfg, target: args.target, deployer: deployer});
+	}
+	const eth = createEth(cfg);
+	await checkChainId(target, cfg, eth);
+	if (args.command == 'broadcast')
+		return broadcast({config: cfg, eth: eth, file: args.file});
+	if (args.command == 'check')
+		return check({config: cfg, eth: eth, target: args.target});
+	await loadAccount(cfg, eth);
+	const opts = {config: cfg, eth: eth, target: args.target, deployer: deployer};
+	if (await confirmMainnetDeploy(opts))
+		return deploy(opts);
+}
+
+module.exports = {
+	deploy: deploy,
+	dryRun: dryRun,
+	check: check,
+	loadConfig: loadConfig,
+	loadContracts: loadContracts,
+	loadAccount: loadAccount,
+	getDeployedAddresses: getDeployedAddresses,
+	resolveAddresses: resolveAddresses,
+	createEth: createEth,
+	getChainId: getChainId,
+	checkChainId: checkChainId,
+	getBatchPath: getBatchPath,
+	toEther: toEther
+};
+
 if (require.main === module) {
 	(async () => {
 		try {
 			await main();
 		} catch (err) {
-			console.error(err);
+			// Never print key material, even in errors.
+			console.error(credentials.redact(err.stack || err));
 			process.exit(-1);
 		}
 		process.exit();
@@ -0,0 +1,284 @@
+'use strict'
+require('colors');
+const _ = require('lodash');
+const fs = require('mz/fs');
+const path = require('path');
+const project = require('./project');
+const util = require('./util');
+const {encodeConstructorCall, encodeFunctionCall} = require('./offline');
+const {TransactionFailedError} = require('./sender');
+
+// The selector of `Error(string)`, which revert data with a reason starts
+// with.
+const REVERT_SELECTOR = '0x08c379a0';
+
+// Records live in deployments/, unless another directory is given.
+function getRecordPath(target, dir=project.DEPLOYMENTS_ROOT) {
+	return path.resolve(dir, `${target}.json`);
+}
+
+async function loadRecord(target, dir) {
+	try {
+		return JSON.parse(await fs.readFile(getRecordPath(target, dir), 'utf-8'));
+	} catch (err) {
+		if (err.code == 'ENOENT')
+			return null;
+		throw err;
+	}
+}
+
+// Tracks (and persists) the contracts deployed and functions called by a
+// deployer to deployments/<target>.json (or to <target>.json in the
+// `deployments` directory it's given). Each deployment and call is a named
+// step, and steps already completed in an existing record are skipped, so an
+// interrupted deployment can be resumed by simply running it again.
+// Transactions are sent by a TransactionSender, and any left in flight are
+// recorded as `pending`, to be picked up again when resuming.
+class Deployment {
+	constructor(opts) {
+		this.target = opts.target;
+		this.sender = opts.sender;
+		this.confirmations = _.isNil(opts.confirmations) ? 2 : opts.confirmations;
+		// Simulated deployments shouldn't touch the real record.
+		this.persist = _.isNil(opts.persist) ? true : opts.persist;
+		this.deployments = opts.deployments;
+		this.record = opts.record || {
+			target: opts.target,
+			chainId: opts.chainId,
+			deployer: opts.deployer,
+			contracts: {},
+			calls: {}
+		};
+	}
+
+	get contracts() {
+		return this.record.contracts;
+	}
+
+	get calls() {
+		return this.record.calls;
+	}
+
+	// Deploy a contract and record it under `label`.
+	// If `label` was already deployed, just point `contract` at it.
+	async deploy(label, contract, args=[], opts={}) {
+		const done = this.contracts[label];
+		if (done) {
+			if (done.artifactHash != contract.artifactHash) {
+				throw new Error(`"${label}" was deployed from a different ` +
+					`"${done.contract}" artifact than the current build.`);
+			}
+			if (!isCode(await contract.web3.eth.getCode(done.address))) {
+				throw new Error(`"${label}" was recorded at ${done.address} ` +
+					'but there is no code there.');
+			}
+			contract.address = done.address;
+			console.log(`\tAlready deployed (step "${label}"), skipping.`.gray);
+			return null;
+		}
+		const pending = this._getPending(label);
+		if (pending && pending.artifactHash != contract.artifactHash) {
+			throw new Error(`"${label}" has a pending deployment from a different ` +
+				`"${contract.artifactName}" artifact than the current build.`);
+		}
+		const receipt = await this._send(label, {
+			data: encodeConstructorCall(contract, args),
+			value: opts.value
+		}, {artifactHash: contract.artifactHash});
+		contract.address = receipt.contractAddress;
+		await this.recordContract(label, {
+			contract: contract.artifactName,
+			address: contract.address,
+			txHash: receipt.transactionHash,
+			block: receipt.blockNumber,
+			gasUsed: receipt.gasUsed,
+			args: args,
+			artifactHash: contract.artifactHash
+		});
+		return receipt;
+	}
+
+	// Call (transact) a contract function and record it under `name`.
+	// If `name` was already called, this does nothing.
+	async call(name, contract, method, args=[], opts={}) {
+		if (this.calls[name]) {
+			console.log(`\tAlready called (step "${name}"), skipping.`.gray);
+			return null;
+		}
+		const receipt = await this._send(name, {
+			to: contract.address,
+			data: encodeFunctionCall(contract, method, args),
+			value: opts.value
+		});
+		await this._recordCall(name, contract, method, args, opts, receipt);
+		return receipt;
+	}
+
+	// Call a contract's (Uninitialized) init() function and record it under
+	// `name`. If the contract is already initialized (e.g., the transaction was
+	// mined but the record was never written), the step is marked completed
+	// without calling init() again, and any transaction still pending for it is
+	// forgotten.
+	async init(name, contract, args=[], opts={}) {
+		if (!this.calls[name] &&
+				await isInitialized(contract, this.record.deployer)) {
+			console.log(`\tAlready initialized (step "${name}"), skipping.`.gray);
+			this._removePending(name);
+			await this._recordCall(name, contract, 'init', args, opts, null);
+			return null;
+		}
+		return this.call(name, contract, 'init', args, opts);
+	}
+
+	_getPending(step) {
+		return _.get(this.record, ['pending', step]);
+	}
+
+	// Send a step's transaction (or resume its pending one) and wait for it to
+	// be confirmed. `info` is kept with the pending transaction.
+	async _send(step, tx, info={}) {
+		if (!this.sender)
+			throw new Error('No transaction sender to deploy with.');
+		const pending = this._getPending(step) ||
+			_.assign(await this.sender.prepare(tx), info);
+		let receipt;
+		try {
+			receipt = await this.sender.send(pending, {
+				confirmations: this.confirmations,
+				onUpdate: async () => {
+					this.record.pending = _.assign({}, this.record.pending,
+						{[step]: pending});
+					await this.save();
+				}
+			});
+		} catch (err) {
+			// A failed transaction is final, so forget it and let the next run
+			// send the step again with a new one.
+			if (err instanceof TransactionFailedError) {
+				this._removePending(step);
+				await this.save();
+			}
+			throw err;
+		}
+		this._removePending(step);
+		return receipt;
+	}
+
+	_removePending(step) {
+		this.record.pending = _.omit(this.record.pending, [step]);
+		if (_.isEmpty(this.record.pending))
+			delete this.record.pending;
+	}
+
+	// Record a contract deployed by other means (e.g., an offline batch).
+	async recordContract(label, entry) {
+		this.record.contracts[label] = entry;
+		await this.save();
+	}
+
+	// Record a call made by other means (e.g., an offline batch).
+	async recordCall(name, entry) {
+		this.record.calls[name] = entry;
+		await this.save();
+	}
+
+	async _recordCall(name, contract, method, args, opts, receipt) {
+		await this.recordCall(name, {
+			contract: _.findKey(this.contracts, c => c.address == contract.address),
+			address: contract.address,
+			method: method,
+			args: args,
+			value: opts.value,
+			txHash: receipt ? receipt.transactionHash : null,
+			block: receipt ? receipt.blockNumber : null,
+			gasUsed: receipt ? receipt.gasUsed : 0
+		});
+	}
+
+	async save() {
+		if (!this.persist)
+			return;
+		await util.writeFilePath(getRecordPath(this.target, this.deployments),
+			JSON.stringify(this.record, null, '\t'));
+	}
+}
+
+function isCode(code) {
+	return !!code && !/^0x0*$/.test(code);
+}
+
+// Check whether an Uninitialized contract has been initialized, without
+// relying on anything but its init() function (so it works on contracts
+// deployed from any build). A static call of init() by the contract's
+// creator gets past the onlyCreator modifier and is rejected by
+// onlyUninitialized (with ERROR_UNINITIALIZED) only once it's initialized.
+async function isInitialized(contract, creator) {
+	const def = _.find(contract.abi, {type: 'function', name: 'init'});
+	if (!def)
+		throw new Error(`${contract.address} has no init() function.`);
+	const call = {
+		from: creator,
+		to: contract.address,
+		data: encodeFunctionCall(contract, 'init',
+			_.map(def.inputs, i => getZeroValue(i.type)))
+	};
+	let reason;
+	try {
+		// Older nodes return the revert data as the result.
+		reason = decodeRevertData(contract.web3,
+			await util.rpc(contract.eth, 'eth_call', [call, 'latest']));
+	} catch (err) {
+		reason = getRevertReason(contract.web3, err);
+		if (_.isNil(reason))
+			throw err;
+	}
+	if (reason == 'RESTRICTED') {
+		throw new Error(`Cannot tell whether ${contract.address} is ` +
+			`initialized: ${creator} is not its creator.`);
+	}
+	return reason == 'UNINITIALIZED';
+}
+
+// A placeholder argument of an ABI type.
+function getZeroValue(type) {
+	const m = /^(.+)\[(\d*)\]$/.exec(type);
+	if (m)
+		return _.times(_.toNumber(m[2]), () => getZeroValue(m[1]));
+	if (type == 'address')
+		return '0x' + _.repeat('0', 40);
+	if (type == 'bool')
+		return false;
+	if (type == 'string')
+		return '';
+	if (/^bytes/.test(type))
+		return '0x' + _.repeat('00', _.toNumber(type.substr(5)));
+	return '0';
+}
+
+// The reason string from an RPC error for a reverted call, which ganache puts
+// in the message and newer geths put in the error data. Null if the error
+// isn't a revert.
+function getRevertReason(web3, err) {
+	const fromData = decodeRevertData(web3, err.data);
+	if (!_.isNil(fromData))
+		return fromData;
+	const m = /\brevert(?:ed)?:?(?: (.*))?$/.exec(err.message);
+	if (m)
+		return (m[1] || '').trim();
+	// Failed some other way (e.g., an invalid opcode).
+	return /VM Exception/.test(err.message) ? '' : null;
+}
+
+// Decode `Error(string)` revert data.
+function decodeRevertData(web3, data) {
+	if (!_.isString(data) || !data.startsWith(REVERT_SELECTOR))
+		return null;
+	return web3.eth.abi.decodeParameter('string', '0x' + data.substr(10));
+}
+
+module.exports = {
+	Deployment: Deployment,
+	getRecordPath: getRecordPath,
+	loadRecord: loadRecord,
+	isInitialized: isInitialized
+};
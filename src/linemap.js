@@ -0,0 +1,111 @@
+'use strict'
+const _ = require('lodash');
+const fs = require('mz/fs');
+const path = require('path');
+
+const IMPORT_REGEX = /^\s*import\s+['"]([^'"]+)['"]/;
+
+// Expand a source file and its imports, in the order solpp inlines them, into
+// a stream of {file, line, text} entries.
+async function expandSourceLines(file, included=[]) {
+	if (_.includes(included, file))
+		return [];
+	included.push(file);
+	const lines = (await fs.readFile(file, 'utf-8')).split(/\r?\n/);
+	const stream = [];
+	for (let i = 0; i < lines.length; i++) {
+		const m = IMPORT_REGEX.exec(lines[i]);
+		if (m && !/^https?:/i.test(m[1])) {
+			const imported = path.resolve(path.dirname(file), m[1]);
+			if (await fs.exists(imported)) {
+				stream.push(...await expandSourceLines(imported, included));
+				continue;
+			}
+		}
+		stream.push({file: file, line: i + 1, text: lines[i].trim()});
+	}
+	return stream;
+}
+
+// Find matching (output, stream) index pairs of the longest common
+// subsequence of non-empty lines.
+function alignLines(outputLines, stream) {
+	const [n, m] = [outputLines.length, stream.length];
+	const lengths = _.times(n + 1, () => new Uint16Array(m + 1));
+	for (let i = n - 1; i >= 0; i--) {
+		for (let j = m - 1; j >= 0; j--) {
+			if (outputLines[i] && outputLines[i] == stream[j].text)
+				lengths[i][j] = lengths[i+1][j+1] + 1;
+			else
+				lengths[i][j] = Math.max(lengths[i+1][j], lengths[i][j+1]);
+		}
+	}
+	const pairs = [];
+	for (let i = 0, j = 0; i < n && j < m;) {
+		if (outputLines[i] && outputLines[i] == stream[j].text) {
+			pairs.push([i, j]);
+			i++; j++;
+		} else if (lengths[i+1][j] >= lengths[i][j+1]) {
+			i++;
+		} else {
+			j++;
+		}
+	}
+	return pairs;
+}
+
+// Create a map of each (0-indexed) line in the preprocessed output of `file`
+// to the original [file, line] it came from. Lines produced by macro expansion
+// have no exact counterpart, so they are mapped relative to the nearest
+// preceding line that does.
+async function createLineMap(file, output) {
+	const outputLines = _.map(output.split(/\r?\n/), l => l.trim());
+	const stream = await expandSourceLines(file);
+	const matches = {};
+	for (let [i, j] of alignLines(outputLines, stream))
+		matches[i] = stream[j];
+	const map = [];
+	let prev = null;
+	for (let i = 0; i < outputLines.length; i++) {
+		if (matches[i]) {
+			prev = {idx: i, src: matches[i]};
+			map.push([prev.src.file, prev.src.line]);
+		} else if (prev) {
+			map.push([prev.src.file, prev.src.line + i - prev.idx]);
+		} else {
+			map.push([file, 1]);
+		}
+	}
+	// Don't let offset-mapped lines run past the next exact match.
+	let next = null;
+	for (let i = map.length - 1; i >= 0; i--) {
+		if (matches[i])
+			next = matches[i];
+		else if (next && map[i][0] == next.file && map[i][1] >= next.line)
+			map[i][1] = Math.max(1, next.line - 1);
+	}
+	return map;
+}
+
+// Rewrite "<source>:<line>:<col>:" locations in a compiler message using the
+// line maps (keyed by compiler source name) of each source unit.
+function mapMessageLocations(msg, lineMaps) {
+	for (let source in lineMaps) {
+		const map = lineMaps[source];
+		const regex = new RegExp(
+			`(?<![\\w/\\\\.-])${_.escapeRegExp(source)}:(\\d+):(\\d+):`, 'g');
+		msg = msg.replace(regex, (match, line, col) => {
+			const entry = map[_.toNumber(line) - 1];
+			if (!entry)
+				return match;
+			return `${entry[0]}:${entry[1]}:${col}:`;
+		});
+	}
+	return msg;
+}
+
+module.exports = {
+	alignLines: alignLines,
+	createLineMap: createLineMap,
+	mapMessageLocations: mapMessageLocations
+};
@@ -0,0 +1,226 @@
+'use strict'
+require('colors');
+const _ = require('lodash');
+const bn = require('bn-str-256');
+const fs = require('mz/fs');
+const EthereumTx = require('ethereumjs-tx');
+const ethjs = require('ethereumjs-util');
+const util = require('./util');
+
+// Gas limit margin over the gas used by a step in simulation.
+const GAS_BONUS = 0.25;
+// How often to poll for new blocks while waiting on confirmations.
+const POLL_INTERVAL = 4000;
+
+// Stands in for a Deployment, building an unsigned transaction (with an
+// explicit nonce) for each deployer step instead of sending it. Contract
+// addresses are derived from the sender and nonce, so later steps can refer
+// to contracts created by earlier ones.
+class OfflineDeployment {
+	constructor(opts) {
+		this.target = opts.target;
+		this.chainId = opts.chainId;
+		this.from = ethjs.toChecksumAddress(opts.from);
+		this.nonce = opts.nonce;
+		this.gasPrice = opts.gasPrice;
+		// Gas used by each step, from a simulation.
+		this.gasUsed = opts.gasUsed;
+		// Steps in an existing record are already done.
+		this.record = opts.record || {contracts: {}, calls: {}};
+		this.transactions = [];
+		this.planned = {contracts: {}, calls: {}};
+	}
+
+	get contracts() {
+		return _.assign({}, this.record.contracts, this.planned.contracts);
+	}
+
+	get calls() {
+		return _.assign({}, this.record.calls, this.planned.calls);
+	}
+
+	async deploy(label, contract, args=[], opts={}) {
+		const done = this.record.contracts[label];
+		if (done) {
+			contract.address = done.address;
+			console.log(`\tAlready deployed (step "${label}"), skipping.`.gray);
+			return null;
+		}
+		const address = ethjs.toChecksumAddress(ethjs.bufferToHex(
+			ethjs.generateAddress(this.from, this.nonce)));
+		const entry = {
+			contract: contract.artifactName,
+			address: address,
+			args: args,
+			artifactHash: contract.artifactHash
+		};
+		this._addTransaction(label, _.assign({type: 'deploy'}, entry), {
+			to: null,
+			data: encodeConstructorCall(contract, args),
+			value: opts.value
+		});
+		this.planned.contracts[label] = entry;
+		contract.address = address;
+		return null;
+	}
+
+	async call(name, contract, method, args=[], opts={}) {
+		if (this.record.calls[name]) {
+			console.log(`\tAlready called (step "${name}"), skipping.`.gray);
+			return null;
+		}
+		const entry = {
+			contract: _.findKey(this.contracts, c => c.address == contract.address),
+			address: contract.address,
+			method: method,
+			args: args,
+			value: opts.value
+		};
+		this._addTransaction(name, _.assign({type: 'call'}, entry), {
+			to: contract.address,
+			data: encodeFunctionCall(contract, method, args),
+			value: opts.value
+		});
+		this.planned.calls[name] = entry;
+		return null;
+	}
+
+	async init(name, contract, args=[], opts={}) {
+		return this.call(name, contract, 'init', args, opts);
+	}
+
+	async save() {
+		// Nothing is recorded until the batch is broadcast.
+	}
+
+	_addTransaction(step, info, tx) {
+		if (!this.gasUsed[step])
+			throw new Error(`No gas estimate for step "${step}".`);
+		const nonce = this.nonce++;
+		this.transactions.push(_.assign({step: step}, info, {
+			tx: {
+				nonce: nonce,
+				gasPrice: bn.int(this.gasPrice),
+				gasLimit: Math.ceil(this.gasUsed[step] * (1 + GAS_BONUS)),
+				to: tx.to,
+				value: bn.int(tx.value || 0),
+				data: tx.data,
+				chainId: this.chainId
+			}
+		}));
+		console.log(`\tPrepared step "${step}" (nonce ${nonce}).`.gray);
+	}
+
+	toBatch() {
+		return {
+			target: this.target,
+			chainId: this.chainId,
+			from: this.from,
+			transactions: this.transactions
+		};
+	}
+}
+
+function encodeConstructorCall(contract, args) {
+	const def = _.find(contract.abi, {type: 'constructor'}) || {inputs: []};
+	return ethjs.addHexPrefix(contract.bytecode) +
+		contract.web3.eth.abi.encodeParameters(def.inputs, args).substr(2);
+}
+
+function encodeFunctionCall(contract, method, args) {
+	const def = _.find(contract.abi, d => d.type == 'function' &&
+		d.name == method && d.inputs.length == args.length);
+	if (!def)
+		throw new Error(`Cannot find function "${method}" taking ${args.length} args.`);
+	return contract.web3.eth.abi.encodeFunctionCall(def, args);
+}
+
+async function loadBatch(file) {
+	return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+async function writeBatch(file, batch) {
+	await util.writeFilePath(file, JSON.stringify(batch, null, '\t'));
+}
+
+// Sign every transaction in a batch, adding its raw form and hash.
+function signBatch(batch, key) {
+	const from = ethjs.toChecksumAddress(
+		ethjs.bufferToHex(ethjs.privateToAddress(ethjs.toBuffer(key))));
+	if (from != ethjs.toChecksumAddress(batch.from))
+		throw new Error(`Batch is from ${batch.from} but the key is for ${from}.`);
+	const transactions = _.map(batch.transactions, t => {
+		const tx = new EthereumTx({
+			nonce: bn.toHex(t.tx.nonce),
+			gasPrice: bn.toHex(t.tx.gasPrice),
+			gasLimit: bn.toHex(t.tx.gasLimit),
+			to: t.tx.to || undefined,
+			value: bn.toHex(t.tx.value),
+			data: t.tx.data,
+			chainId: t.tx.chainId
+		});
+		tx.sign(ethjs.toBuffer(key));
+		return _.assign({}, t, {
+			raw: ethjs.bufferToHex(tx.serialize()),
+			hash: ethjs.bufferToHex(tx.hash())
+		});
+	});
+	return _.assign({}, batch, {transactions: transactions});
+}
+
+// Broadcast a signed batch in order, waiting for each transaction to be
+// mined and confirmed before sending the next, and recording each step in
+// `deployment`. Transactions that were already mined are not sent again.
+async function broadcastBatch(eth, batch, deployment, confirmations=0) {
+	const chainId = await util.getChainId(eth);
+	if (chainId != batch.chainId)
+		throw new Error(`Batch is for chain ${batch.chainId}, not ${chainId}.`);
+	const web3 = eth.web3;
+	for (let t of batch.transactions) {
+		if (!t.raw)
+			throw new Error(`Step "${t.step}" has not been signed.`);
+		console.log(`Broadcasting step "${t.step}" (nonce ${t.tx.nonce})...`);
+		let receipt = await web3.eth.getTransactionReceipt(t.hash);
+		if (receipt)
+			console.log(`\tAlready mined, skipping.`.gray);
+		else
+			receipt = await web3.eth.sendSignedTransaction(t.raw);
+		if (!receipt.status)
+			throw new Error(`Step "${t.step}" (${t.hash}) failed.`);
+		await waitForConfirmations(eth, receipt.blockNumber, confirmations);
+		console.log(`\tMined in block ${receipt.blockNumber} (${t.hash.blue}).`);
+		await recordStep(deployment, t, receipt);
+	}
+}
+
+async function recordStep(deployment, t, receipt) {
+	const mined = {
+		txHash: receipt.transactionHash,
+		block: receipt.blockNumber,
+		gasUsed: receipt.gasUsed
+	};
+	if (t.type == 'deploy') {
+		await deployment.recordContract(t.step, _.assign({
+			contract: t.contract,
+			address: ethjs.toChecksumAddress(receipt.contractAddress)
+		}, mined, {args: t.args, artifactHash: t.artifactHash}));
+	} else {
+		await deployment.recordCall(t.step, _.assign(
+			_.pick(t, ['contract', 'address', 'method', 'args', 'value']), mined));
+	}
+}
+
+async function waitForConfirmations(eth, blockNumber, count) {
+	while (count > 1 && (await eth.getBlockNumber()) - blockNumber + 1 < count)
+		await new Promise(accept => setTimeout(accept, POLL_INTERVAL));
+}
+
+module.exports = {
+	OfflineDeployment: OfflineDeployment,
+	loadBatch: loadBatch,
+	writeBatch: writeBatch,
+	signBatch: signBatch,
+	broadcastBatch: broadcastBatch,
+	encodeConstructorCall: encodeConstructorCall,
+	encodeFunctionCall: encodeFunctionCall
+};
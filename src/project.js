@@ -9,24 +9,59 @@ const BUILD_ROOT = path.resolve(PROJECT_ROOT, 'build');
 const SOL_ROOT = path.resolve(PROJECT_ROOT, 'sol');
 const BUILD_CONFIG_PATH = path.resolve(PROJECT_ROOT, 'build.config.js');
 const DEPLOY_CONFIG_PATH = path.resolve(PROJECT_ROOT, 'deploy.config.js');
-const CACHE_PATH = path.resolve(BUILD_ROOT, 'cache.json');
-const BUILD_SOL_ROOT = path.resolve(BUILD_ROOT, 'src');
-const BUILD_OUTPUT_ROOT = path.resolve(BUILD_ROOT, 'artifacts');
+const CONSTANTS_PATH = path.resolve(PROJECT_ROOT, 'constants.js');
+const VARIANTS_ROOT = path.resolve(PROJECT_ROOT, 'variants');
+const DEPLOYMENTS_ROOT = path.resolve(PROJECT_ROOT, 'deployments');
+const SECRETS_PATH = path.resolve(PROJECT_ROOT, 'secrets.json');
+const PACKAGE_INDEX_PATH = path.resolve(PROJECT_ROOT, 'index.js');
 
-async function getArtifact(name) {
-	const f = path.resolve(BUILD_OUTPUT_ROOT, `${name}.json`);
+function getBuildConfig(target) {
+	const root = require(BUILD_CONFIG_PATH);
+	if (!(target in root))
+		throw new Error(`Build target "${target}" not found in build configuration`);
+	return root[target];
+}
+
+// Get the output paths of a build target. Each target builds into its own
+// directory (`output` in the build config, or build/<target>).
+function getTargetPaths(target) {
+	const cfg = getBuildConfig(target);
+	return getOutputPaths(path.resolve(PROJECT_ROOT,
+		cfg.output || path.join('build', target)));
+}
+
+function getOutputPaths(root) {
+	return {
+		root: root,
+		src: path.resolve(root, 'src'),
+		artifacts: path.resolve(root, 'artifacts'),
+		cache: path.resolve(root, 'cache.json'),
+		manifest: path.resolve(root, 'manifest.json'),
+		bundles: path.resolve(root, 'bundles'),
+		verification: path.resolve(root, 'verification')
+	};
+}
+
+async function getArtifact(target, name) {
+	const f = path.resolve(getTargetPaths(target).artifacts, `${name}.json`);
 	return JSON.parse(await fs.readFile(f, 'utf-8'));
 }
 
-async function getArtifacts(names) {
-	const artifacts = await Promise.all(_.map(names, n => getArtifact(n)));
+async function getArtifactHash(target, name) {
+	const f = path.resolve(getTargetPaths(target).artifacts, `${name}.json`);
+	return util.hashFiles([f]);
+}
+
+async function getArtifacts(target, names) {
+	const artifacts = await Promise.all(
+		_.map(names, n => getArtifact(target, n)));
 	return _.zipObject(names, artifacts);
 }
 
-async function getAllArtifacts() {
-	const files = await util.glob('*.json', BUILD_OUTPUT_ROOT);
+async function getAllArtifacts(target) {
+	const files = await util.glob('*.json', getTargetPaths(target).artifacts);
 	const names = _.map(files, f => path.basename(f, '.json'));
-	return getArtifacts(names);
+	return getArtifacts(target, names);
 }
 
 module.exports = {
@@ -35,10 +70,16 @@ module.exports = {
 	SOL_ROOT: SOL_ROOT,
 	BUILD_CONFIG_PATH: BUILD_CONFIG_PATH,
 	DEPLOY_CONFIG_PATH: DEPLOY_CONFIG_PATH,
-	CACHE_PATH: CACHE_PATH,
-	BUILD_SOL_ROOT: BUILD_SOL_ROOT,
-	BUILD_OUTPUT_ROOT: BUILD_OUTPUT_ROOT,
+	CONSTANTS_PATH: CONSTANTS_PATH,
+	VARIANTS_ROOT: VARIANTS_ROOT,
+	DEPLOYMENTS_ROOT: DEPLOYMENTS_ROOT,
+	SECRETS_PATH: SECRETS_PATH,
+	PACKAGE_INDEX_PATH: PACKAGE_INDEX_PATH,
+	getBuildConfig: getBuildConfig,
+	getTargetPaths: getTargetPaths,
+	getOutputPaths: getOutputPaths,
 	getArtifact: getArtifact,
 	getArtifacts: getArtifacts,
+	getArtifactHash: getArtifactHash,
 	getAllArtifacts: getAllArtifacts
 };
@@ -0,0 +1,208 @@
+'use strict'
+const _ = require('lodash');
+const bn = require('bn-str-256');
+const bip39 = require('bip39');
+const ethjs = {
+	util: require('ethereumjs-util')
+};
+const {CREDENTIAL_FIELDS, HD_PATH_PATTERN, keyToAddress} =
+	require('./credentials');
+
+// Fields a deployment target (including anything folded in from secrets.json)
+// may define. Each checks a value and returns a description of what's wrong
+// with it, if anything. Secrets are never included in descriptions.
+const TARGET_FIELDS = {
+	chainId: v => isInteger(v, 1) || 'must be a positive integer',
+	deployer: v => _.isFunction(v) || isString(v) ||
+		'must be a function or a path to a deployer script',
+	authorities: checkAuthorities,
+	network: v => isString(v) || 'must be a network name',
+	provider: v => isString(v) || _.isObject(v) ||
+		'must be a provider URI or instance',
+	infuraKey: v => isString(v) || 'must be a string',
+	gasPrice: v => isPositiveNumber(v) || 'must be a positive number (in wei)',
+	maxGasPrice: v => isPositiveNumber(v) || 'must be a positive number (in wei)',
+	replaceTimeout: v => isPositiveNumber(v) ||
+		'must be a positive number (in seconds)',
+	confirmations: v => isInteger(v, 0) || 'must be a non-negative integer',
+	buildTarget: v => isString(v) || 'must be a build target name',
+	deployments: v => isString(v) || 'must be a path to a directory',
+	contracts: v => (_.isArray(v) && _.every(v, isString)) ||
+		'must be a list of contract names',
+	account: checkAddress,
+	game: checkAddress,
+	market: checkAddress,
+	addresses: checkAddressMap,
+	key: v => /^(0x)?[0-9a-f]{64}$/i.test(v) ||
+		'must be a 32-byte hex private key',
+	mnemonic: v => (isString(v) && bip39.validateMnemonic(normalizeMnemonic(v))) ||
+		'is not a valid BIP39 mnemonic',
+	accountIndex: v => isInteger(v, 0) || 'must be a non-negative integer',
+	hdPath: v => (isString(v) && HD_PATH_PATTERN.test(v.replace(/\/+$/, ''))) ||
+		`must be an HD path, like "m/44'/60'/0'/0"`,
+	keystore: v => isString(v) || 'must be a path to a keystore file',
+	password: v => isString(v) || 'must be a string'
+};
+// Fields every target must define.
+const REQUIRED_FIELDS = ['chainId', 'deployer', 'authorities'];
+// Fields that only mean something alongside another.
+const DEPENDENT_FIELDS = {
+	password: 'keystore',
+	accountIndex: 'mnemonic',
+	hdPath: 'mnemonic'
+};
+
+// Throw an error describing everything wrong with a target's config, given
+// the contents of secrets.json (which were folded into it), if any.
+function validateTarget(name, cfg, secrets={}) {
+	const problems = getTargetProblems(cfg, secrets);
+	if (problems.length) {
+		throw new Error(`Invalid configuration for target "${name}":\n` +
+			_.map(problems, p => `\t- ${p}`).join('\n'));
+	}
+}
+
+function getTargetProblems(cfg, secrets={}) {
+	if (!_.isPlainObject(secrets))
+		return ['secrets.json must contain an object'];
+	if (!_.isPlainObject(cfg))
+		return ['Target must be an object'];
+	const where = field => `"${field}" (in ` +
+		`${field in secrets ? 'secrets.json' : 'deploy.config.js'})`;
+	const problems = [];
+	for (let field in cfg) {
+		if (!(field in TARGET_FIELDS)) {
+			const closest = getClosestField(field);
+			problems.push(`Unknown field ${where(field)}` +
+				(closest ? `; did you mean "${closest}"?` : ''));
+			continue;
+		}
+		if (_.isNil(cfg[field]))
+			continue;
+		const problem = TARGET_FIELDS[field](cfg[field]);
+		if (problem !== true)
+			problems.push(`${_.upperFirst(where(field))} ${problem}`);
+	}
+	for (let field of REQUIRED_FIELDS) {
+		if (_.isNil(cfg[field]))
+			problems.push(`Missing required field "${field}"`);
+	}
+	// Only one source of key material may be defined.
+	const creds = _.filter(CREDENTIAL_FIELDS, f => !_.isNil(cfg[f]));
+	if (creds.length > 1) {
+		problems.push(`Conflicting credentials ${_.map(creds, where).join(' and ')}; ` +
+			'define only one');
+	}
+	for (let field in DEPENDENT_FIELDS) {
+		if (!_.isNil(cfg[field]) && _.isNil(cfg[DEPENDENT_FIELDS[field]])) {
+			problems.push(`${_.upperFirst(where(field))} is only used with a ` +
+				`"${DEPENDENT_FIELDS[field]}"`);
+		}
+	}
+	if (TARGET_FIELDS.gasPrice(cfg.gasPrice) === true &&
+			TARGET_FIELDS.maxGasPrice(cfg.maxGasPrice) === true &&
+			bn.lt(cfg.maxGasPrice, cfg.gasPrice)) {
+		problems.push(`${_.upperFirst(where('maxGasPrice'))} is less than ` +
+			`${where('gasPrice')}`);
+	}
+	if (cfg.key && cfg.account && TARGET_FIELDS.key(cfg.key) === true &&
+			checkAddress(cfg.account) === true &&
+			keyToAddress(ethjs.util.addHexPrefix(cfg.key)).toLowerCase() !=
+				cfg.account.toLowerCase()) {
+		problems.push(`${_.upperFirst(where('account'))} is not the address of ` +
+			`${where('key')}`);
+	}
+	return problems;
+}
+
+function checkAuthorities(v) {
+	if (!_.isArray(v) || v.length == 0)
+		return 'must be a non-empty list of addresses or ENS names';
+	const problems = [];
+	for (let [i, authority] of v.entries()) {
+		const problem = /^0x/i.test(authority) ? checkAddress(authority) :
+			(isENSName(authority) || 'is not an address or ENS name');
+		if (problem !== true)
+			problems.push(`entry ${i} ("${authority}") ${problem}`);
+	}
+	return problems.length ? problems.join(', ') : true;
+}
+
+function checkAddressMap(v) {
+	if (!_.isPlainObject(v))
+		return 'must map contract labels to addresses';
+	const problems = [];
+	for (let label in v) {
+		const problem = checkAddress(v[label]);
+		if (problem !== true)
+			problems.push(`"${label}" ("${v[label]}") ${problem}`);
+	}
+	return problems.length ? problems.join(', ') : true;
+}
+
+function checkAddress(v) {
+	if (!isString(v) || !/^0x[0-9a-f]{40}$/i.test(v))
+		return 'is not a valid address';
+	// Mixed-case addresses are checksummed.
+	if (v.slice(2) != v.slice(2).toLowerCase() &&
+			v.slice(2) != v.slice(2).toUpperCase() &&
+			!ethjs.util.isValidChecksumAddress(v))
+		return 'has an invalid checksum';
+	return true;
+}
+
+function isENSName(v) {
+	return isString(v) && /^([a-z0-9-]+\.)+[a-z0-9-]+$/i.test(v);
+}
+
+function isString(v) {
+	return _.isString(v) && v.length > 0;
+}
+
+function isInteger(v, min) {
+	return _.isInteger(v) && v >= min;
+}
+
+function isPositiveNumber(v) {
+	if (!(_.isNumber(v) || isString(v)))
+		return false;
+	try {
+		return bn.gt(v, 0);
+	} catch (err) {
+		return false;
+	}
+}
+
+function normalizeMnemonic(mnemonic) {
+	return mnemonic.trim().replace(/\s+/g, ' ');
+}
+
+// Find the known field a misspelled one was most likely meant to be.
+function getClosestField(field) {
+	const distances = _.map(_.keys(TARGET_FIELDS),
+		f => ({field: f, distance: getEditDistance(field.toLowerCase(), f.toLowerCase())}));
+	const closest = _.minBy(distances, d => d.distance);
+	if (closest.distance <= Math.max(1, Math.floor(field.length / 4)))
+		return closest.field;
+}
+
+// Levenshtein distance between two strings.
+function getEditDistance(a, b) {
+	let row = _.range(b.length + 1);
+	for (let i = 1; i <= a.length; i++) {
+		const prev = row;
+		row = [i];
+		for (let j = 1; j <= b.length; j++) {
+			row[j] = Math.min(prev[j] + 1, row[j - 1] + 1,
+				prev[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1));
+		}
+	}
+	return row[b.length];
+}
+
+module.exports = {
+	TARGET_FIELDS: TARGET_FIELDS,
+	REQUIRED_FIELDS: REQUIRED_FIELDS,
+	validateTarget: validateTarget,
+	getTargetProblems: getTargetProblems
+};
@@ -0,0 +1,260 @@
+'use strict'
+require('colors');
+const _ = require('lodash');
+const bn = require('bn-str-256');
+const EthereumTx = require('ethereumjs-tx');
+const ethjs = require('ethereumjs-util');
+const {rpc, getChainId} = require('./util');
+
+// Gas limit margin over a transaction's estimated gas.
+const GAS_BONUS = 0.25;
+// How much to raise the gas price of a replacement transaction by. Nodes
+// usually won't replace a pending transaction for less than 10%.
+const GAS_PRICE_BUMP = 0.125;
+// How long to wait on a transaction before replacing it.
+const DEFAULT_REPLACE_TIMEOUT = 5 * 60 * 1000;
+// How often to poll for receipts and new blocks.
+const POLL_INTERVAL = 4000;
+
+// A transaction that was mined but failed (reverted).
+class TransactionFailedError extends Error {
+	constructor(receipt) {
+		super(`Transaction ${receipt.transactionHash} failed.`);
+		this.receipt = receipt;
+	}
+};
+
+// Sends a deployer's transactions one at a time with explicit nonces. A
+// transaction that stays unmined for `replaceTimeout` is replaced by one with
+// the same nonce and a bumped gas price, up to `maxGasPrice`.
+//
+// The state of each transaction in flight (its nonce, gas price, and the
+// hashes of every version broadcast) is a plain "pending" object, handed to
+// an `onUpdate` callback whenever it changes, so it can be persisted and
+// resumed after a crash.
+class TransactionSender {
+	constructor(opts) {
+		this.eth = opts.eth;
+		this.key = opts.key;
+		this.from = ethjs.toChecksumAddress(opts.from);
+		this.gasPrice = opts.gasPrice;
+		this.maxGasPrice = opts.maxGasPrice;
+		this.replaceTimeout = _.isNil(opts.replaceTimeout) ?
+			DEFAULT_REPLACE_TIMEOUT : opts.replaceTimeout;
+		this.pollInterval = _.isNil(opts.pollInterval) ?
+			POLL_INTERVAL : opts.pollInterval;
+		// The chain to sign for, looked up when first needed if not given.
+		this.chainId = opts.chainId;
+		this.nonce = null;
+	}
+
+	// Assign a nonce, gas limit, and gas price to a transaction
+	// (`{to, data, value}`), returning its pending state.
+	async prepare(tx) {
+		const confirmed = await this._getConfirmedNonce();
+		if (_.isNil(this.nonce) || confirmed > this.nonce)
+			this.nonce = confirmed;
+		const gas = await rpc(this.eth, 'eth_estimateGas', [{
+			from: this.from,
+			to: tx.to || undefined,
+			data: tx.data,
+			value: bn.toHex(tx.value || 0)
+		}]);
+		return {
+			nonce: this.nonce,
+			gasPrice: bn.int(this.gasPrice || await this.eth.getGasPrice()),
+			tx: {
+				to: tx.to || null,
+				data: tx.data,
+				value: bn.int(tx.value || 0),
+				gasLimit: Math.ceil(bn.parse(gas) * (1 + GAS_BONUS))
+			},
+			transactions: []
+		};
+	}
+
+	// Send (or resume sending) a prepared transaction, replacing it if it gets
+	// stuck, and wait for it to be mined with `confirmations`. Returns the
+	// receipt.
+	async send(pending, opts={}) {
+		const onUpdate = opts.onUpdate || _.noop;
+		if (pending.transactions.length) {
+			console.log(`\tResuming transaction with nonce ${pending.nonce}...`.gray);
+			// Unless it's been mined, the node may have never seen it or
+			// forgotten it (e.g., it restarted), so send it again.
+			if (!(await this._getReceipt(pending)) &&
+					(await this._getConfirmedNonce()) <= pending.nonce) {
+				await this._broadcast(pending, pending.gasPrice, onUpdate,
+					{resume: true});
+			}
+		} else {
+			await this._broadcast(pending, pending.gasPrice, onUpdate);
+		}
+		let deadline = Date.now() + this.replaceTimeout;
+		// Keep raising the price even if a replacement is rejected (e.g., for
+		// being underpriced).
+		let lastGasPrice = pending.gasPrice;
+		let capped = false;
+		while (true) {
+			const receipt = await this._getReceipt(pending);
+			if (receipt) {
+				this.nonce = pending.nonce + 1;
+				if (!receipt.status)
+					throw new TransactionFailedError(receipt);
+				await this._waitForConfirmations(receipt, opts.confirmations);
+				return receipt;
+			}
+			if ((await this._getConfirmedNonce()) > pending.nonce) {
+				// Check once more in case it was mined since we looked.
+				if (!(await this._getReceipt(pending))) {
+					throw new Error(`Nonce ${pending.nonce} of ${this.from} was used ` +
+						`by a transaction we didn't send.`);
+				}
+				continue;
+			}
+			if (Date.now() >= deadline) {
+				const gasPrice = this._getReplacementGasPrice(lastGasPrice);
+				if (gasPrice) {
+					lastGasPrice = gasPrice;
+					console.log(`\tTransaction with nonce ${pending.nonce} is stuck, ` +
+						`replacing it at ${bn.div(gasPrice, 1e9)} gwei...`.yellow);
+					await this._broadcast(pending, gasPrice, onUpdate, {replace: true});
+				} else if (!capped) {
+					console.warn((`\tTransaction with nonce ${pending.nonce} is stuck ` +
+						(this.maxGasPrice ? 'but already at the maximum gas price' :
+							'(set a maxGasPrice to replace it)') +
+						', still waiting...').yellow);
+					capped = true;
+				}
+				deadline = Date.now() + this.replaceTimeout;
+			}
+			await wait(this.pollInterval);
+		}
+	}
+
+	_getReplacementGasPrice(gasPrice) {
+		if (!this.maxGasPrice || !bn.lt(gasPrice, this.maxGasPrice))
+			return null;
+		return bn.min(bn.int(bn.mul(gasPrice, 1 + GAS_PRICE_BUMP)),
+			bn.int(this.maxGasPrice));
+	}
+
+	// Broadcast a version of a pending transaction at `gasPrice`. Signed
+	// transactions are recorded before they're broadcast, so a crash can never
+	// lose track of one.
+	async _broadcast(pending, gasPrice, onUpdate, opts={}) {
+		const tx = {
+			from: this.from,
+			nonce: bn.toHex(pending.nonce),
+			gasPrice: bn.toHex(gasPrice),
+			gas: bn.toHex(pending.tx.gasLimit),
+			to: pending.tx.to || undefined,
+			value: bn.toHex(pending.tx.value),
+			data: pending.tx.data
+		};
+		if (!this.key) {
+			// Let the node sign it.
+			try {
+				const hash = await rpc(this.eth, 'eth_sendTransaction', [tx]);
+				addTransaction(pending, hash, gasPrice);
+				await onUpdate(pending);
+			} catch (err) {
+				handleBroadcastError(err, opts);
+			}
+			return;
+		}
+		const signed = new EthereumTx(_.assign(_.omit(tx, ['from', 'gas']), {
+			gasLimit: tx.gas,
+			chainId: await this._getChainId()
+		}));
+		signed.sign(ethjs.toBuffer(this.key));
+		const hash = ethjs.bufferToHex(signed.hash());
+		const isNew = !_.some(pending.transactions, {hash: hash});
+		if (isNew) {
+			addTransaction(pending, hash, gasPrice);
+			await onUpdate(pending);
+		}
+		try {
+			await rpc(this.eth, 'eth_sendRawTransaction',
+				[ethjs.bufferToHex(signed.serialize())]);
+		} catch (err) {
+			// ganache rejects a transaction that fails, though it still mines it.
+			if (await this._getTransactionReceipt(hash))
+				return;
+			if (isNew && !opts.resume) {
+				_.remove(pending.transactions, {hash: hash});
+				pending.gasPrice = _.last(pending.transactions) ?
+					_.last(pending.transactions).gasPrice : gasPrice;
+				await onUpdate(pending);
+			}
+			handleBroadcastError(err, opts);
+		}
+	}
+
+	async _getChainId() {
+		if (_.isNil(this.chainId))
+			this.chainId = await getChainId(this.eth);
+		return this.chainId;
+	}
+
+	async _getReceipt(pending) {
+		for (let {hash} of pending.transactions) {
+			const receipt = await this._getTransactionReceipt(hash);
+			if (receipt)
+				return receipt;
+		}
+		return null;
+	}
+
+	async _getTransactionReceipt(hash) {
+		const receipt = await rpc(this.eth, 'eth_getTransactionReceipt', [hash]);
+		return receipt && receipt.blockNumber ? normalizeReceipt(receipt) : null;
+	}
+
+	async _getConfirmedNonce() {
+		return _.toNumber(await rpc(this.eth, 'eth_getTransactionCount',
+			[this.from, 'latest']));
+	}
+
+	async _waitForConfirmations(receipt, count=0) {
+		while (count > 1 &&
+				(await this.eth.getBlockNumber()) - receipt.blockNumber + 1 < count) {
+			await wait(this.pollInterval);
+		}
+	}
+}
+
+function addTransaction(pending, hash, gasPrice) {
+	pending.transactions.push({hash: hash, gasPrice: bn.int(gasPrice)});
+	pending.gasPrice = bn.int(gasPrice);
+}
+
+// A rejected replacement (e.g., underpriced, or a node that doesn't replace
+// pending transactions) just means we keep waiting on the versions already
+// sent. Likewise for a rebroadcast the node already has.
+function handleBroadcastError(err, opts) {
+	if (opts.replace || opts.resume) {
+		console.warn(`\tNode rejected the transaction: ${err.message}`.yellow);
+		return;
+	}
+	throw err;
+}
+
+function normalizeReceipt(receipt) {
+	return _.assign({}, receipt, {
+		blockNumber: _.toNumber(receipt.blockNumber),
+		gasUsed: _.toNumber(receipt.gasUsed),
+		status: _.isNil(receipt.status) ? true : _.toNumber(receipt.status) == 1,
+		contractAddress: receipt.contractAddress ?
+			ethjs.toChecksumAddress(receipt.contractAddress) : null
+	});
+}
+
+function wait(ms) {
+	return new Promise(accept => setTimeout(accept, ms));
+}
+
+module.exports = {
+	TransactionSender: TransactionSender,
+	TransactionFailedError: TransactionFailedError
+};
@@ -1,5 +1,6 @@
 'use strict'
 const _ = require('lodash');
+const assert = require('assert');
 const crypto = require('crypto');
 const {promisify} = require('util');
 const fs = require('mz/fs');
@@ -11,12 +12,16 @@ const FlexContract = require('flex-contract');
 const FlexEther = require('flex-ether');
 const process = require('process');
 const project = require('./project');
+const {NUM_RESOURCES, MAX_HEIGHT, CONNECTOR_WEIGHT} =
+	require(project.CONSTANTS_PATH);
 
 process.on('unhandledRejection', (err) => {});
 const ONE_TOKEN = bn.parse('1e18');
 const MAX_UINT = bn.sub(bn.pow(2, 256), 1);
 const ZERO_ADDRESS = '0x' + _.repeat('0', 40);
 const LOG_FILE = path.resolve(project.PROJECT_ROOT, 'ganache.log');
+const TOKEN_NAME = 'TestToken';
+const TOKEN_SYMBOL = 'TTKN';
 
 function createAccounts(accounts, balance=bn.mul(1e6, ONE_TOKEN)) {
 	if (_.isArray(accounts)) {
@@ -99,6 +104,332 @@ async function restoreSnapshot(provider, id) {
 	return resp.result;
 }
 
+async function sendRpc(provider, method, params=[]) {
+	const payload = {
+		jsonrpc: '2.0',
+		method: method,
+		id: crypto.randomBytes(32).toString('hex'),
+		params: params
+	};
+	const resp = await promisify(provider.sendAsync)(payload);
+	if (resp.error)
+		throw new Error(resp.error.message || resp.error);
+	return resp.result;
+}
+
+async function getTime(provider) {
+	const block = await sendRpc(provider, 'eth_getBlockByNumber', ['latest', false]);
+	return _.toNumber(block.timestamp);
+}
+
+// Advance the chain's time by `dt` seconds, setting the TEST clocks of the
+// tracked contracts to match. The clocks are set (with setTime()) rather than
+// advanced so they can't drift from the chain, which keeps ticking between
+// blocks.
+async function advanceTime(provider, clocks, dt) {
+	dt = _.toNumber(dt);
+	if (!_.isInteger(dt) || dt < 0)
+		throw new Error(`Cannot advance time by ${dt} seconds.`);
+	return setTime(provider, clocks, (await getTime(provider)) + dt);
+}
+
+// Set the chain's time to `t`, along with the TEST clocks (`__setBlockTime()`)
+// of the tracked contracts. ganache can't turn its clock back, so `t` can't be
+// earlier than the latest block.
+async function setTime(provider, clocks, t) {
+	t = _.toNumber(t);
+	const now = await getTime(provider);
+	if (!_.isInteger(t) || t < now) {
+		throw new Error(`Cannot set the time to ${t}, ` +
+			`before the latest block (${now}).`);
+	}
+	await sendRpc(provider, 'evm_increaseTime', [t - now]);
+	await sendRpc(provider, 'evm_mine');
+	for (let contract of _.uniqBy(clocks, c => c.address))
+		await contract.__setBlockTime(t);
+}
+
+// Deploy and initialize the game, the market, and its resource tokens (like
+// deploy.config.js's deployer does) with these options:
+//	supplyLock: The market's supply lock (in wei). Defaults to 100 tokens.
+//	initialFunds: The market's initial funds (in wei). Defaults to 1 ether.
+//	authorities: Game authorities. Defaults to the authority role.
+//	marketAuthorities: Market authorities besides the game. Defaults to none.
+// Returns the contracts, roles (`authority`, `genesisPlayer`, and `users`, taken
+// from the accounts in that order), and helpers bound to them.
+async function deployUpcity(env, opts={}) {
+	const [authority, genesisPlayer, ...users] = env.accounts;
+	const game = env.contracts['UpcityGame'].clone();
+	const market = env.contracts['UpcityMarket'].clone();
+	await game.new();
+	await market.new();
+	env.trackTime(game, market);
+	const tokens = _.times(NUM_RESOURCES,
+		i => env.contracts['UpcityResourceTokenProxy'].clone());
+	for (let i = 0; i < NUM_RESOURCES; i++) {
+		const inst = tokens[i];
+		inst.NAME = `${TOKEN_NAME}-${i}`;
+		inst.SYMBOL = `${TOKEN_SYMBOL}-${i}`;
+		inst.IDX = i;
+		await inst.new(inst.NAME, inst.SYMBOL, market.address);
+	}
+	await market.init(
+		_.isNil(opts.supplyLock) ? bn.mul(100, ONE_TOKEN) : opts.supplyLock,
+		_.map(tokens, t => t.address),
+		[game.address, ...(opts.marketAuthorities || [])],
+		{value: _.isNil(opts.initialFunds) ? ONE_TOKEN : opts.initialFunds});
+	await game.init(
+		market.address,
+		genesisPlayer,
+		opts.authorities || [authority]);
+	const fixture = {
+		game: game,
+		market: market,
+		tokens: tokens,
+		authority: authority,
+		genesisPlayer: genesisPlayer,
+		users: users
+	};
+	return _.assign(fixture, {
+		describeTile: (x, y) => describeTile(fixture, x, y),
+		buyTokens: (whom, amounts, bonus) =>
+			buyTokens(fixture, whom, amounts, bonus),
+		buildTower: (x, y, blocks, caller, gasOnly) =>
+			buildTower(fixture, x, y, blocks, caller, gasOnly),
+		buyTile: (x, y, player) => buyTile(fixture, x, y, player)
+	});
+}
+
+async function describeTile({game}, x, y) {
+	return _.assign(
+		unpackDescription(await game.describeTile(x, y)),
+		{x: x, y: y});
+}
+
+// Buy exact amounts of each token for `whom`.
+async function buyTokens({market, tokens}, whom, amounts, bonus=0.01) {
+	if (!_.isArray(amounts) || amounts.length != NUM_RESOURCES)
+		throw new Error(`Expected ${NUM_RESOURCES} token amounts.`);
+	const states = await Promise.all(
+		_.map(tokens, t => market.describeToken(t.address)));
+	// Predict the cost of buying each token amount, with a little breathing
+	// room.
+	const costs = _.map(_.zip(states, amounts), ([s, a]) => bn.int(
+			bn.mul(getTokenPurchaseCost(a, s.supply, s.funds), (1+bonus))));
+	const tx = await market.buy(
+		costs, whom, {from: whom, value: bn.sum(costs)});
+	// Sell any excess tokens.
+	const sells = _.times(NUM_RESOURCES, i => '0');
+	for (let token of tokens) {
+		const amount = amounts[token.IDX];
+		const {bought} = tx.findEvent('Bought', {resource: token.address}).args;
+		if (bought)
+			sells[token.IDX] = bn.max(0, bn.sub(bought, amount));
+	}
+	await market.sell(sells, whom, {from: whom});
+}
+
+// Buy the resources for and build `blocks` on a tile, as its owner by default.
+async function buildTower(fixture, x, y, blocks, caller=null, gasOnly=false) {
+	if (!caller)
+		caller = (await describeTile(fixture, x, y)).owner;
+	let cost = await fixture.game.getBuildCost(x, y, encodeBlocks(blocks));
+	await buyTokens(fixture, caller, cost);
+	return fixture.game.buildBlocks(x, y, encodeBlocks(blocks),
+		{from: caller, gasOnly: gasOnly});
+}
+
+async function buyTile(fixture, x, y, player) {
+	const {price} = await describeTile(fixture, x, y);
+	return fixture.game.buy(x, y, {from: player, value: price});
+}
+
+function getTokenPurchaseCost(amount, supply, funds) {
+	let c = bn.div(bn.add(supply, amount), supply)
+	c = bn.pow(c, 1/CONNECTOR_WEIGHT);
+	c = bn.sub(c, 1);
+	c = bn.mul(c, funds);
+	return bn.round(c);
+}
+
+function unpackDescription(r) {
+	return {
+		id: r.id,
+		name: decodeName(r.name),
+		lastTouchTime: bn.toNumber(r.lastTouchTime),
+		timesBought: bn.toNumber(r.timesBought),
+		owner: r.owner,
+		blocks: decodeBlocks(r.blocks),
+		price: r.price,
+		sharedResources: r.sharedResources,
+		funds: r.funds,
+		inSeason: r.inSeason,
+		scores: r.scores
+	};
+}
+
+function decodeBlocks(encoded) {
+	const hex = bn.toHex(encoded, MAX_HEIGHT*2).substr(2);
+	return _.filter(
+		_.times(MAX_HEIGHT, i => parseInt(hex.substr(-(i+1)*2, 2), 16)),
+		b => b != 255);
+}
+
+function encodeBlocks(blocks) {
+	if (blocks.length > MAX_HEIGHT)
+		throw new Error(`Towers can be at most ${MAX_HEIGHT} blocks high.`);
+	const slots = [];
+	for (let i = 0; i < MAX_HEIGHT; i++)
+		slots.push(i < blocks.length ? blocks[i]: 255);
+	return '0x'+_.map(_.reverse(slots),
+		n => bn.toHex(n, 2).substr(2)).join('');
+}
+
+function decodeName(encoded) {
+	const buf = ethjs.toBuffer(encoded);
+	let end = 0;
+	for (; end < buf.length; end++) {
+		if (buf[end] == 0)
+			break;
+	}
+	return buf.slice(0, end).toString();
+}
+
+// Map each event signature (the first topic of its logs) in the artifacts'
+// ABIs to the event's definition.
+function getEventDefs(web3, artifacts) {
+	const defs = {};
+	for (let name in artifacts) {
+		for (let def of artifacts[name].abi) {
+			if (def.type == 'event' && !def.anonymous) {
+				const topic = web3.eth.abi.encodeEventSignature(def);
+				defs[topic] = _.assign({contract: name}, def);
+			}
+		}
+	}
+	return defs;
+}
+
+// Decode a receipt's logs into events (`{name, contract, address, args}`),
+// whichever loaded contract emitted them. Logs none of the artifacts define
+// are skipped.
+function decodeEvents(web3, defs, receipt) {
+	const events = [];
+	for (let log of receipt.logs || []) {
+		const def = defs[_.toLower(log.topics[0])];
+		if (!def)
+			continue;
+		const decoded = web3.eth.abi.decodeLog(def.inputs, log.data,
+			log.topics.slice(1));
+		events.push({
+			name: def.name,
+			contract: def.contract,
+			address: ethjs.toChecksumAddress(log.address),
+			args: _.fromPairs(_.map(def.inputs, (input, i) =>
+				[input.name || i, normalizeDecodedArg(input.type, decoded[i])]))
+		});
+	}
+	return events;
+}
+
+// Checksum addresses and trim fixed-size bytes, which web3 leaves padded to
+// 32 bytes when they're indexed.
+function normalizeDecodedArg(type, value) {
+	if (_.isArray(value))
+		return _.map(value, v => normalizeDecodedArg(type, v));
+	const elementType = /^[a-z0-9]+/i.exec(type)[0];
+	if (elementType == 'address')
+		return ethjs.toChecksumAddress(value);
+	const m = /^bytes(\d+)$/.exec(elementType);
+	if (m)
+		return ethjs.bufferToHex(ethjs.toBuffer(value).slice(0, _.toNumber(m[1])));
+	return value;
+}
+
+// Assert that a receipt has a `name` event whose arguments include `args`,
+// returning the (first) one that does.
+function expectEvent(defs, events, name, args={}) {
+	checkEventArgs(defs, name, args);
+	const candidates = _.filter(events, {name: name});
+	const found = _.find(candidates, e => isMatchingEvent(e, args));
+	if (found)
+		return found;
+	// Diff against whichever candidate matches the most arguments.
+	const closest = _.maxBy(candidates, e =>
+		_.filter(_.keys(args), k => isEqualArg(e.args[k], args[k])).length);
+	throw new assert.AssertionError({
+		message: candidates.length ?
+			`No "${name}" event has ${formatArgs(args)}. Found:\n` +
+				_.map(candidates, e => `\t${formatEvent(e)}`).join('\n') :
+			`Expected a "${name}" event, but found ` +
+				(events.length ? _.uniq(_.map(events, 'name')).join(', ') : 'none'),
+		actual: closest ? _.pick(closest.args, _.keys(args)) : undefined,
+		expected: _.mapValues(args, formatArg),
+		operator: 'expectEvent'
+	});
+}
+
+// Assert that a receipt has no `name` event whose arguments include `args`.
+function expectNoEvent(defs, events, name, args={}) {
+	checkEventArgs(defs, name, args);
+	const found = _.filter(events, e => e.name == name && isMatchingEvent(e, args));
+	if (found.length) {
+		throw new assert.AssertionError({
+			message: `Expected no "${name}" event` +
+				(_.isEmpty(args) ? '' : ` with ${formatArgs(args)}`) + ', but found:\n' +
+				_.map(found, e => `\t${formatEvent(e)}`).join('\n'),
+			operator: 'expectNoEvent'
+		});
+	}
+}
+
+// Catch misspelled event and argument names, which would otherwise just never
+// match.
+function checkEventArgs(defs, name, args) {
+	defs = _.filter(_.values(defs), {name: name});
+	if (!defs.length)
+		throw new Error(`No loaded contract has a "${name}" event.`);
+	for (let arg in args) {
+		if (!_.some(defs, d => _.some(d.inputs, {name: arg})))
+			throw new Error(`The "${name}" event has no "${arg}" argument.`);
+	}
+}
+
+function isMatchingEvent(event, args) {
+	return _.every(_.keys(args), k => isEqualArg(event.args[k], args[k]));
+}
+
+// Compare a decoded argument to an expected one, treating numbers in any form
+// (and addresses and hex in any case) as the same.
+function isEqualArg(actual, expected) {
+	if (_.isArray(expected)) {
+		return _.isArray(actual) && actual.length == expected.length &&
+			_.every(_.zip(actual, expected), ([a, e]) => isEqualArg(a, e));
+	}
+	if (_.isBoolean(actual) || _.isBoolean(expected))
+		return actual === expected;
+	try {
+		return bn.eq(actual, expected);
+	} catch (err) {
+		return _.toLower(actual) == _.toLower(expected);
+	}
+}
+
+function formatArg(v) {
+	if (_.isArray(v))
+		return _.map(v, formatArg);
+	return _.isBoolean(v) ? v : _.toString(v);
+}
+
+function formatArgs(args) {
+	return `{${_.map(args, (v, k) => `${k}: ${formatArg(v)}`).join(', ')}}`;
+}
+
+function formatEvent(event) {
+	return `${event.name}${formatArgs(event.args)} ` +
+		`(${event.contract} at ${event.address})`;
+}
+
 function log(...args) {
 	if (args.length) {
 		const line = args.join(' ');
@@ -122,21 +453,51 @@ module.exports = async function(opts={}) {
 	const eth = new FlexEther({provider: provider, gasBonus: 0.75});
 	provider.setMaxListeners(4096);
 	provider.engine.setMaxListeners(4096);
+	// Tests run against the TEST build by default.
+	const target = opts.target || 'test';
 	const artifacts = await (opts.contracts ?
-		project.getArtifacts(opts.contracts) : project.getAllArtifacts());
+		project.getArtifacts(target, opts.contracts) :
+		project.getAllArtifacts(target));
 	const contracts = _.mapValues(artifacts,
 		a => new FlexContract(a, {eth: eth}));
-	return {
+	const eventDefs = getEventDefs(eth.web3, artifacts);
+	// Deployed contracts whose TEST clocks follow the chain's. Contracts
+	// deployed after restoring a snapshot can reuse an address, so there may be
+	// more than one instance per address.
+	const clocks = [];
+	const env = {
 		provider: provider,
 		saveSnapshot: () => saveSnapshot(provider),
 		restoreSnapshot: (id) => restoreSnapshot(provider, id),
+		// Pause and resume automatic mining, leaving transactions pending.
+		stopMining: () => sendRpc(provider, 'miner_stop'),
+		startMining: () => sendRpc(provider, 'miner_start'),
+		mine: () => sendRpc(provider, 'evm_mine'),
+		// Keep the TEST clocks of deployed contracts (e.g., the game and market)
+		// in step with the chain's, through advanceTime() and setTime().
+		trackTime: (...instances) => {
+			clocks.push(...instances);
+		},
+		getTime: () => getTime(provider),
+		advanceTime: (dt) => advanceTime(provider, clocks, dt),
+		setTime: (t) => setTime(provider, clocks, t),
 		accounts: _.map(accounts, a => a.address),
 		eth: eth,
-		contracts: contracts
+		contracts: contracts,
+		// Deploy and initialize a fresh game and market.
+		deployUpcity: (opts) => deployUpcity(env, opts),
+		// Decode and make assertions about the events in a receipt.
+		decodeEvents: (receipt) => decodeEvents(eth.web3, eventDefs, receipt),
+		expectEvent: (receipt, name, args) => expectEvent(eventDefs,
+			decodeEvents(eth.web3, eventDefs, receipt), name, args),
+		expectNoEvent: (receipt, name, args) => expectNoEvent(eventDefs,
+			decodeEvents(eth.web3, eventDefs, receipt), name, args)
 	};
+	return env;
 };
 
 module.exports.ONE_TOKEN = ONE_TOKEN;
 module.exports.MAX_UINT = MAX_UINT;
 module.exports.ZERO_ADDRESS = ZERO_ADDRESS;
 module.exports.randomAddress = randomAddress;
+module.exports.randomPrivateKey = randomPrivateKey;
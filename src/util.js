@@ -7,6 +7,7 @@ const path = require('path');
 const promisify = require('util').promisify;
 const mkdirp = promisify(require('mkdirp'));
 const crypto = require('crypto');
+const readline = require('readline');
 const _glob = promisify(require('glob').glob);
 
 async function glob(names, cwd) {
@@ -57,6 +58,16 @@ async function getTreeFiles(root, opts={}) {
 		return _.keys(files);
 }
 
+async function getTreeDirs(root) {
+	const dirs = [];
+	for (let f of await fs.readdir(root)) {
+		const p = path.resolve(root, f);
+		if ((await fs.stat(p)).isDirectory())
+			dirs.push(p, ...await getTreeDirs(p));
+	}
+	return dirs;
+}
+
 function transplantFilePath(filepath, srcPrefix, dstPrefix) {
 	if (!filepath.startsWith(srcPrefix))
 		throw new Error(`Unable to transplant file "${filepath}"`);
@@ -86,7 +97,7 @@ async function wipe(root, opts={}) {
 				await fs.unlink(f);
 		}
 		if ((await fs.readdir(root)).length == 0)
-			fs.rmdir(root);
+			await fs.rmdir(root);
 	} catch (err) {
 		if (err.code == 'ENOENT')
 			return;
@@ -98,14 +109,81 @@ async function wipeExcept(root, files) {
 	return wipe(root, {filter: f => !_.includes(files, f)});
 }
 
+// Make a raw JSON-RPC call, which (unlike web3) won't wait on transactions
+// after sending them.
+function rpc(eth, method, params=[]) {
+	const provider = eth.web3.currentProvider;
+	const payload = {
+		jsonrpc: '2.0',
+		id: _.random(1, 2**31),
+		method: method,
+		params: params
+	};
+	return new Promise((accept, reject) => {
+		provider.send(payload, (err, resp) => {
+			if (err)
+				return reject(err);
+			if (resp.error) {
+				return reject(_.assign(new Error(resp.error.message || resp.error),
+					{data: resp.error.data}));
+			}
+			accept(resp.result);
+		});
+	});
+}
+
+// Get the (EIP-155) chain ID of the network `eth` is connected to, which is
+// what transactions are signed for and what deployment records and batches
+// are tied to. Nodes without `eth_chainId` (like ganache 6) fall back to the
+// network ID, which is the same on the public networks.
+async function getChainId(eth) {
+	try {
+		return _.toNumber(await rpc(eth, 'eth_chainId'));
+	} catch (err) {
+		if (!/not supported|not exist|not found|not available/i.test(err.message))
+			throw err;
+	}
+	return _.toNumber(await rpc(eth, 'net_version'));
+}
+
+// Ask a question on the terminal and return the answer.
+function prompt(query, opts={}) {
+	const rl = readline.createInterface({
+		input: opts.input || process.stdin,
+		output: opts.output || process.stderr
+	});
+	return new Promise((accept, reject) => {
+		let answered = false;
+		rl.on('close', () => {
+			if (!answered)
+				reject(new Error('Prompt was cancelled.'));
+		});
+		rl.question(query, answer => {
+			answered = true;
+			rl.close();
+			accept(answer);
+		});
+	});
+}
+
+// Ask a yes/no question (defaulting to no).
+async function confirm(query, opts={}) {
+	return /^y(es)?$/i.test((await prompt(`${query} [y/N] `, opts)).trim());
+}
+
 module.exports = {
 	hashFiles: hashFiles,
 	getTreeHash: getTreeHash,
 	getTreeFiles: getTreeFiles,
+	getTreeDirs: getTreeDirs,
 	hashString: hashString,
 	transplantFilePath: transplantFilePath,
 	writeFilePath: writeFilePath,
 	wipe: wipe,
 	wipeExcept: wipeExcept,
-	glob: glob
+	glob: glob,
+	prompt: prompt,
+	confirm: confirm,
+	rpc: rpc,
+	getChainId: getChainId
 };
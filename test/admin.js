@@ -0,0 +1,189 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const bn = require('bn-str-256');
+const fs = require('mz/fs');
+const os = require('os');
+const path = require('path');
+const testbed = require('../src/testbed');
+const admin = require('../src/admin');
+const credentials = require('../src/credentials');
+const deploy = require('../src/deploy');
+const offline = require('../src/offline');
+const {Deployment} = require('../src/deployment');
+const {RESOURCE_NAMES, RESOURCE_SYMBOLS} = require('../constants');
+const capture = require('./lib/capture');
+
+const {ONE_TOKEN} = testbed;
+const KEYS = _.times(4, () => testbed.randomPrivateKey());
+const [AUTHORITY_KEY] = KEYS;
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		_.assign(this, await testbed({
+			contracts: ['UpcityGame', 'UpcityMarket', 'UpcityResourceTokenProxy'],
+			accounts: KEYS}));
+		this.fixture = await this.deployUpcity(
+			{marketAuthorities: [_.first(this.accounts)]});
+		const {game, market, authority, users} = this.fixture;
+		this.authority = authority;
+		this.player = _.first(users);
+		this.chainId = await deploy.getChainId(this.eth);
+		this.tmpdir = await fs.mkdtemp(path.join(os.tmpdir(), 'upcity-'));
+
+		// Run an admin command line against the fixture (with the release ABIs,
+		// like the real thing), returning everything it printed.
+		this.admin = async (argv, cfg={}) => {
+			const args = admin.loadProgramArguments(argv);
+			const target = _.assign({
+				chainId: this.chainId,
+				provider: this.provider,
+				game: game.address,
+				market: market.address,
+				confirmations: 0
+			}, cfg);
+			return capture(() => admin.run(args,
+				credentials.applyCredentials(_.defaults({}, args, target), args, {})));
+		};
+	});
+
+	after(async function() {
+		for (let f of await fs.readdir(this.tmpdir))
+			await fs.unlink(path.join(this.tmpdir, f));
+		await fs.rmdir(this.tmpdir);
+	});
+
+	beforeEach(async function() {
+		this.snapshotId = await this.saveSnapshot();
+	});
+
+	afterEach(async function() {
+		await this.restoreSnapshot(this.snapshotId);
+	});
+
+	describe('arguments', function() {
+		it('keeps numeric-looking positional arguments as given', function() {
+			const argv = ['stash', 'ropsten', '0x0000000000000000000000000000000000000010',
+				'1', '0.0', '2.50', '-k', '0x01'];
+			const args = admin.loadProgramArguments(argv);
+			assert.equal(args.command, 'stash');
+			assert.equal(args.target, 'ropsten');
+			assert.deepEqual(args.args,
+				['0x0000000000000000000000000000000000000010', '1', '0.0', '2.50']);
+		});
+
+		it('rejects unknown commands', function() {
+			assert.throws(() => admin.loadProgramArguments(['drain', 'ropsten']),
+				/Unknown command "drain"/);
+		});
+
+		it('rejects the wrong number of command arguments', function() {
+			assert.throws(() => admin.loadProgramArguments(['credits', 'ropsten']),
+				/Usage: upcity-admin credits <target> <address>/);
+			assert.throws(() => admin.loadProgramArguments(['fees']),
+				/Target must be given/);
+		});
+	});
+
+	it('refuses a provider connected to the wrong chain', async function() {
+		await assert.rejects(this.admin(['fees', 'test'], {chainId: this.chainId + 1}),
+			/expects chain/);
+	});
+
+	it('fees shows the game\'s fees and balance', async function() {
+		await this.fixture.game.__fundFees({value: ONE_TOKEN});
+		const out = await this.admin(['fees', 'test']);
+		assert(/Fees: 1 ETH/.test(out), out);
+		assert(/Balance: 1 ETH/.test(out), out);
+	});
+
+	it('credits shows a player\'s credits', async function() {
+		await this.fixture.game.__fundPlayer(this.player, {value: ONE_TOKEN});
+		const out = await this.admin(['credits', 'test', this.player]);
+		assert(out.includes(`Credits for ${this.player}: 1 ETH`), out);
+	});
+
+	it('balances shows a player\'s token balances', async function() {
+		await this.fixture.buyTokens(this.player,
+			_.times(RESOURCE_NAMES.length, i => bn.mul(i + 1, ONE_TOKEN)));
+		const out = await this.admin(['balances', 'test', this.player]);
+		for (let [i, name] of RESOURCE_NAMES.entries())
+			assert(out.includes(`${name}: ${i + 1} ${RESOURCE_SYMBOLS[i]}`), out);
+	});
+
+	it('block-stats shows the stats of each resource', async function() {
+		const out = await this.admin(['block-stats', 'test']);
+		for (let name of RESOURCE_NAMES)
+			assert(new RegExp(`${name}: \\d+ blocks, score`).test(out), out);
+	});
+
+	it('status shows the fees, market, and block stats', async function() {
+		const out = await this.admin(['status', 'test']);
+		assert(out.includes(`Game ${this.fixture.game.address}`), out);
+		assert(out.includes(`Market ${this.fixture.market.address}`), out);
+		for (let token of this.fixture.tokens)
+			assert(out.includes(`(${token.address})`), out);
+		assert(out.includes('Block stats:'), out);
+	});
+
+	describe('collect-fees', function() {
+		it('sends the fees to an address', async function() {
+			await this.fixture.game.__fundFees({value: ONE_TOKEN});
+			const to = testbed.randomAddress();
+			await this.admin(['collect-fees', 'test', to, '-y'], {key: AUTHORITY_KEY});
+			assert.equal(await this.eth.getBalance(to), ONE_TOKEN);
+			assert.equal(await this.fixture.game.fees(), 0);
+		});
+
+		it('refuses an account that is not an authority', async function() {
+			await assert.rejects(this.admin(
+				['collect-fees', 'test', testbed.randomAddress(), '-y'],
+				{key: _.last(KEYS)}), /is not an authority on the game/);
+		});
+	});
+
+	describe('stash', function() {
+		before(async function() {
+			this.buyTokens = () => this.fixture.buyTokens(this.player,
+				_.times(RESOURCE_NAMES.length, i => bn.mul(2, ONE_TOKEN)));
+		});
+
+		it('stashes a player\'s tokens', async function() {
+			await this.buyTokens();
+			await this.admin(['stash', 'test', this.player, '1', '0', '2', '-y'],
+				{key: AUTHORITY_KEY});
+			assert.deepEqual(
+				_.map(await this.fixture.market.getBalances(this.player), _.toString),
+				_.map([1, 2, 0], n => bn.mul(n, ONE_TOKEN)));
+		});
+
+		it('refuses to stash more than a player has', async function() {
+			await this.buyTokens();
+			await assert.rejects(this.admin(
+				['stash', 'test', this.player, '1', '2.5', '0', '-y'],
+				{key: AUTHORITY_KEY}),
+				new RegExp(`only has 2 ${RESOURCE_SYMBOLS[1]}, not 2.5`));
+		});
+	});
+
+	it('--prepare writes a batch that can be signed and broadcast', async function() {
+		await this.fixture.game.__fundFees({value: ONE_TOKEN});
+		const to = testbed.randomAddress();
+		const file = path.join(this.tmpdir, 'admin.unsigned.json');
+		await this.admin(['collect-fees', 'test', to, '--prepare', '-o', file],
+			{account: this.authority});
+		// Nothing is sent.
+		assert.equal(await this.fixture.game.fees(), ONE_TOKEN);
+		const batch = await offline.loadBatch(file);
+		assert.equal(batch.persist, false);
+		assert.equal(batch.from, this.authority);
+		assert.deepEqual(_.map(batch.transactions, t => _.pick(t,
+			['step', 'contract', 'method'])),
+			[{step: 'game.collectFees', contract: 'UpcityGame', method: 'collectFees'}]);
+		assert.equal(batch.transactions[0].tx.nonce,
+			await this.eth.getTransactionCount(this.authority));
+		await offline.broadcastBatch(this.eth,
+			offline.signBatch(batch, AUTHORITY_KEY), new Deployment({persist: false}));
+		assert.equal(await this.eth.getBalance(to), ONE_TOKEN);
+	});
+});
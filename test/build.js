@@ -0,0 +1,468 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const fs = require('mz/fs');
+const fse = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const build = require('../src/build');
+const linemap = require('../src/linemap');
+const project = require('../src/project');
+const util = require('../src/util');
+const constants = require('../constants');
+const capture = require('./lib/capture');
+
+// Sources (as lines) of a library and a unit that imports it and expands a
+// loop with the preprocessor.
+const LIB_SOURCE = [
+	'pragma solidity ^0.5.0;',
+	'',
+	'library Lib {',
+	'\tfunction one() internal pure returns (uint256) {',
+	'\t\treturn 1;',
+	'\t}',
+	'}'
+];
+const UNIT_SOURCE = [
+	'pragma solidity ^0.5.0;',
+	'',
+	'import "./Lib.sol";',
+	'',
+	'contract Unit {',
+	'\tfunction sum() external pure returns (uint256 total) {',
+	'\t\t// #for I in range(3)',
+	'\t\ttotal += Lib.one() * $$(I);',
+	'\t\t// #done',
+	'\t\ttotal += 1;',
+	'\t}',
+	'}'
+];
+
+// Poll until `fn` resolves to something truthy.
+async function waitFor(fn, timeout=20000) {
+	const expires = Date.now() + timeout;
+	while (!(await fn())) {
+		if (Date.now() > expires)
+			throw new Error('Timed out waiting.');
+		await new Promise(accept => setTimeout(accept, 50));
+	}
+}
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		this.tmpdir = await fs.mkdtemp(path.join(os.tmpdir(), 'upcity-'));
+		// Write a variant file, returning its path.
+		this.writeVariant = async (name, source) => {
+			const file = path.join(this.tmpdir, `${name}.js`);
+			await fs.writeFile(file, `module.exports = ${source};\n`);
+			return file;
+		};
+		// Write sources (as lines, by path under the sources root).
+		this.writeSources = async (sources) => {
+			for (let name in sources) {
+				await util.writeFilePath(path.join(this.sources, name),
+					sources[name].join('\n'));
+			}
+		};
+		// Load the "test" target's config, but to build `units` of the written
+		// sources into a directory of its own.
+		this.loadConfig = async (units, opts) =>
+			_.assign(await build.loadConfig('test', opts), {
+				sources: this.sources,
+				units: _.map(units, u => path.join(this.sources, u)),
+				paths: project.getOutputPaths(path.join(this.root, 'build'))
+			});
+	});
+
+	after(async function() {
+		await fse.remove(this.tmpdir);
+	});
+
+	beforeEach(async function() {
+		this.root = await fs.mkdtemp(path.join(this.tmpdir, 'build-'));
+		this.sources = path.join(this.root, 'sol');
+	});
+
+	describe('outputs', function() {
+		it('skips outputs the compiler is too old for', async function() {
+			const cfg = {outputs: ['evm.methodIdentifiers', 'storageLayout']};
+			let outputs;
+			const out = await capture(async () => {
+				outputs = build.getSupportedOutputs(cfg,
+					'0.5.2+commit.1df8f40c.Emscripten.clang');
+			});
+			assert.deepEqual(outputs, ['evm.methodIdentifiers']);
+			assert(/Skipping the "storageLayout" output, which needs solc 0.5.13/
+				.test(out), out);
+			for (let version of ['0.5.13+commit.5b0b510c', '0.6.0+commit.26b70077']) {
+				assert.deepEqual(build.getSupportedOutputs(cfg, version),
+					cfg.outputs);
+			}
+		});
+
+		it('only selects outputs the compiler supports for each target', async function() {
+			for (let target of ['test', 'release']) {
+				const cfg = await build.loadConfig(target);
+				assert(cfg.outputs.includes('evm.methodIdentifiers'));
+				assert(!cfg.outputs.includes('storageLayout'));
+			}
+		});
+	});
+
+	describe('variants', function() {
+		it('layers variants then definitions over the target\'s', async function() {
+			const variant = await this.writeVariant('tall',
+				'{MAX_HEIGHT: 32, TAX_RATE: 0.5}');
+			const cfg = await build.loadConfig('test',
+				{variants: [variant], defs: {TAX_RATE: 0.2}});
+			assert.equal(cfg.defs.MAX_HEIGHT, 32);
+			assert.equal(cfg.defs.TAX_RATE, 0.2);
+			assert.equal(cfg.defs.NUM_RESOURCES, constants.NUM_RESOURCES);
+		});
+
+		it('passes each variant the definitions layered before it', async function() {
+			const tall = await this.writeVariant('tall', '{MAX_HEIGHT: 32}');
+			const derived = await this.writeVariant('derived',
+				'defs => ({BLOCK_HEIGHT_BONUS_BASE: 2**(1/(defs.MAX_HEIGHT-1))})');
+			const cfg = await build.loadConfig('test', {variants: [tall, derived]});
+			assert.equal(cfg.defs.MAX_HEIGHT, 32);
+			assert.equal(cfg.defs.BLOCK_HEIGHT_BONUS_BASE, 2**(1/31));
+		});
+
+		it('does not let a variant modify the definitions it is given', async function() {
+			const mutating = await this.writeVariant('mutating',
+				'defs => { defs.MAX_HEIGHT = 1; return {}; }');
+			const cfg = await build.loadConfig('test', {variants: [mutating]});
+			assert.equal(cfg.defs.MAX_HEIGHT, constants.MAX_HEIGHT);
+		});
+	});
+
+	describe('line maps', function() {
+		beforeEach(async function() {
+			this.lib = path.join(this.sources, 'Lib.sol');
+			this.unit = path.join(this.sources, 'Unit.sol');
+		});
+
+		it('aligns the output with the longest run of matching source lines', async function() {
+			const stream = _.map(['a', 'x', 'b', 'c'], t => ({text: t}));
+			assert.deepEqual(linemap.alignLines(['a', '', 'b', 'y', 'c'], stream),
+				[[0, 0], [2, 2], [4, 3]]);
+			// Empty lines never match.
+			assert.deepEqual(linemap.alignLines(['', 'a'], [{text: ''}, {text: 'a'}]),
+				[[1, 1]]);
+		});
+
+		it('maps expanded and imported lines back to their sources', async function() {
+			await this.writeSources({'Lib.sol': LIB_SOURCE, 'Unit.sol': UNIT_SOURCE});
+			const cfg = await this.loadConfig(['Unit.sol']);
+			await capture(() => build.build(cfg));
+			const output = (await fs.readFile(
+				path.join(cfg.paths.src, 'Unit.sol'), 'utf-8')).split('\n');
+			const map = await linemap.createLineMap(this.unit, output.join('\n'));
+			const mapLine = text => map[_.findIndex(output, l => l.trim() == text)];
+			assert.deepEqual(mapLine('library Lib {'), [this.lib, 3]);
+			assert.deepEqual(mapLine('return 1;'), [this.lib, 5]);
+			assert.deepEqual(mapLine('contract Unit {'), [this.unit, 5]);
+			assert.deepEqual(mapLine('total += 1;'), [this.unit, 10]);
+			// Each iteration of the loop maps within the loop.
+			for (let i = 0; i < 3; i++) {
+				const [file, line] = mapLine(`total += Lib.one() * ${i};`);
+				assert.equal(file, this.unit);
+				assert(line >= 7 && line <= 9, line);
+			}
+		});
+
+		it('rewrites message locations of mapped sources', async function() {
+			const maps = {'Unit.sol': [['/sol/Unit.sol', 1], ['/sol/Lib.sol', 5]]};
+			assert.equal(linemap.mapMessageLocations(
+				'Unit.sol:2:9: DeclarationError\nUnit.sol:3:1: Warning', maps),
+				'/sol/Lib.sol:5:9: DeclarationError\nUnit.sol:3:1: Warning');
+			// Only whole source names are rewritten.
+			assert.equal(linemap.mapMessageLocations('other/Unit.sol:1:1:', maps),
+				'other/Unit.sol:1:1:');
+		});
+
+		it('points compiler errors at the original file and line', async function() {
+			const cases = [
+				// An error after the expanded loop...
+				[{'Unit.sol': _.set(_.clone(UNIT_SOURCE), 9, '\t\ttotal += missing;')},
+					`${this.unit}:10:`],
+				// ...and in an imported file.
+				[{'Lib.sol': _.set(_.clone(LIB_SOURCE), 4, '\t\treturn missing;')},
+					`${this.lib}:5:`]
+			];
+			for (let [sources, location] of cases) {
+				await this.writeSources(_.assign(
+					{'Lib.sol': LIB_SOURCE, 'Unit.sol': UNIT_SOURCE}, sources));
+				const cfg = await this.loadConfig(['Unit.sol']);
+				await assert.rejects(capture(() => build.build(cfg)),
+					err => err instanceof build.CompilationError &&
+						err.message.includes(location) &&
+						/Undeclared identifier/.test(err.message));
+			}
+		});
+	});
+
+	describe('staleness', function() {
+		beforeEach(async function() {
+			await this.writeSources({
+				'Lib.sol': LIB_SOURCE,
+				'Unit.sol': UNIT_SOURCE,
+				'Other.sol': ['pragma solidity ^0.5.0;', '', 'contract Other {}']
+			});
+			this.cfg = await this.loadConfig(['Unit.sol', 'Other.sol']);
+			await capture(() => build.build(this.cfg));
+		});
+
+		it('does nothing when nothing changed', async function() {
+			let contracts;
+			const out = await capture(async () => {
+				contracts = await build.build(this.cfg);
+			});
+			assert.deepEqual(contracts, {});
+			assert(!/Compiling/.test(out), out);
+		});
+
+		it('only rebuilds the units that import an edited file', async function() {
+			await this.writeSources(
+				{'Lib.sol': _.set(_.clone(LIB_SOURCE), 4, '\t\treturn 2;')});
+			let contracts;
+			const out = await capture(async () => {
+				contracts = await build.build(this.cfg);
+			});
+			assert.deepEqual(_.keys(contracts), ['Unit']);
+			assert(/Compiling: [^,]*Unit\.sol\.\.\./.test(out), out);
+		});
+
+		it('leaves units that do not import an edited file alone', async function() {
+			await this.writeSources({'Other.sol':
+				['pragma solidity ^0.5.0;', '', 'contract Other { uint256 x; }']});
+			let contracts;
+			await capture(async () => {
+				contracts = await build.build(this.cfg);
+			});
+			assert.deepEqual(_.keys(contracts), ['Other']);
+		});
+	});
+
+	describe('contract sizes', function() {
+		// Source of a contract whose deployed code holds a `size` byte string.
+		const getSource = size => [
+			'pragma solidity ^0.5.0;',
+			'',
+			'contract Big {',
+			`\tfunction get() external pure returns (string memory) { return "${_.repeat('x', size)}"; }`,
+			'}'
+		];
+
+		it('reports deployed sizes and how much they changed', async function() {
+			await this.writeSources({'Big.sol': getSource(100)});
+			const cfg = await this.loadConfig(['Big.sol']);
+			const getSize = async () => JSON.parse(await fs.readFile(
+				path.join(cfg.paths.artifacts, 'Big.json'))).deployedBytecode.length / 2;
+			let out = await capture(() => build.build(cfg));
+			const size = await getSize();
+			assert(out.includes(`Deployed contract sizes:\n\tBig: ${size} bytes`), out);
+			await this.writeSources({'Big.sol': getSource(200)});
+			out = await capture(() => build.build(cfg));
+			const delta = await getSize() - size;
+			assert(delta > 0);
+			assert(out.includes(`\tBig: ${size + delta} bytes (+${delta})`), out);
+		});
+
+		it('deletes the artifacts of contracts over the size limit', async function() {
+			await this.writeSources({'Big.sol': getSource(100)});
+			const cfg = _.assign(await this.loadConfig(['Big.sol']),
+				{enforceSizeLimit: true});
+			await capture(() => build.build(cfg));
+			const artifact = path.join(cfg.paths.artifacts, 'Big.json');
+			assert(await fs.exists(artifact));
+			await this.writeSources({'Big.sol': getSource(25000)});
+			await assert.rejects(capture(() => build.build(cfg)),
+				err => /exceed the 24576 byte deployed size limit: Big$/.test(err.message) &&
+					/Big: \d+ bytes \(\+\d+\) exceeds 24576 byte limit!/.test(err.log));
+			assert(!(await fs.exists(artifact)));
+		});
+
+		it('keeps oversized artifacts unless enforcing the size limit', async function() {
+			await this.writeSources({'Big.sol': getSource(25000)});
+			const cfg = await this.loadConfig(['Big.sol']);
+			const out = await capture(() => build.build(cfg));
+			assert(/Big: \d+ bytes exceeds 24576 byte limit!/.test(out), out);
+			assert(await fs.exists(path.join(cfg.paths.artifacts, 'Big.json')));
+		});
+	});
+
+	describe('diagnostics', function() {
+		// A contract with a function that could be pure (a warning).
+		const SOURCE = [
+			'pragma solidity ^0.5.0;',
+			'',
+			'contract Warned {',
+			'\tfunction get() external view returns (uint256) { return 1; }',
+			'}'
+		];
+		const WARNING = 'Function state mutability can be restricted to pure';
+
+		beforeEach(async function() {
+			await this.writeSources({'Warned.sol': SOURCE});
+			this.file = path.join(this.sources, 'Warned.sol');
+			this.artifact = path.join(this.root, 'build', 'artifacts', 'Warned.json');
+		});
+
+		it('prints warnings without failing', async function() {
+			const out = await capture(async () =>
+				build.build(await this.loadConfig(['Warned.sol'])));
+			assert(out.includes(`${this.file}:4:2: Warning: ${WARNING}`), out);
+			assert(await fs.exists(this.artifact));
+		});
+
+		it('fails on warnings when strict', async function() {
+			const cfg = await this.loadConfig(['Warned.sol'], {strict: true});
+			await assert.rejects(capture(() => build.build(cfg)),
+				err => err instanceof build.CompilationError &&
+					err.message.includes(`${this.file}:4:2: Warning: ${WARNING}`));
+			assert(!(await fs.exists(this.artifact)));
+		});
+
+		it('ignores allowed warnings, even when strict', async function() {
+			for (let allowed of [WARNING, /restricted to pure/]) {
+				const cfg = _.assign(
+					await this.loadConfig(['Warned.sol'], {strict: true}),
+					{allowedWarnings: [allowed]});
+				const out = await capture(() => build.build(cfg));
+				assert(!out.includes(WARNING), out);
+				assert(await fs.exists(this.artifact));
+			}
+		});
+
+		it('fails on errors, which cannot be allowed', async function() {
+			await this.writeSources({'Warned.sol': _.set(_.clone(SOURCE), 3,
+				'\tfunction get() external view returns (uint256) { return missing; }')});
+			const cfg = _.assign(await this.loadConfig(['Warned.sol']),
+				{allowedWarnings: [/Undeclared identifier/]});
+			await assert.rejects(capture(() => build.build(cfg)),
+				err => err instanceof build.CompilationError &&
+					err.message.includes(`${this.file}:4:58: DeclarationError: Undeclared identifier`));
+			assert(!(await fs.exists(this.artifact)));
+		});
+	});
+
+	describe('manifests', function() {
+		beforeEach(async function() {
+			await this.writeSources({'Lib.sol': LIB_SOURCE, 'Unit.sol': UNIT_SOURCE});
+			this.cfg = await this.loadConfig(['Unit.sol']);
+			await capture(() => build.build(this.cfg));
+		});
+
+		it('records the inputs, sources, and bytecode of a build', async function() {
+			const manifest = JSON.parse(
+				await fs.readFile(this.cfg.paths.manifest, 'utf-8'));
+			const hashFile = async f => util.hashString(await fs.readFile(f));
+			assert.equal(manifest.target, 'test');
+			assert.deepEqual(manifest.defs, this.cfg.defs);
+			assert.deepEqual(manifest.optimizer, {enabled: true, runs: 200});
+			assert.deepEqual(manifest.inputs, {
+				'Lib.sol': await hashFile(path.join(this.sources, 'Lib.sol')),
+				'Unit.sol': await hashFile(path.join(this.sources, 'Unit.sol'))
+			});
+			assert.deepEqual(manifest.sources, {
+				'Unit.sol': await hashFile(path.join(this.cfg.paths.src, 'Unit.sol'))
+			});
+			const artifact = JSON.parse(await fs.readFile(
+				path.join(this.cfg.paths.artifacts, 'Unit.json'), 'utf-8'));
+			assert.deepEqual(manifest.bytecode, {Unit: {
+				bytecode: util.hashString(artifact.bytecode),
+				deployedBytecode: util.hashString(artifact.deployedBytecode)
+			}});
+		});
+
+		it('verifies a build that matches its manifest', async function() {
+			const out = await capture(() =>
+				build.verify(this.cfg.paths.manifest, this.cfg));
+			assert(out.includes('Build matches manifest.'), out);
+		});
+
+		it('refuses to verify a build that differs from its manifest', async function() {
+			await this.writeSources(
+				{'Lib.sol': _.set(_.clone(LIB_SOURCE), 4, '\t\treturn 2;')});
+			await assert.rejects(capture(() =>
+				build.verify(this.cfg.paths.manifest, this.cfg)),
+				err => /Build does not match manifest/.test(err.message) &&
+					err.log.includes('inputs.Lib.sol:') &&
+					err.log.includes('bytecode.Unit.bytecode:') &&
+					!err.log.includes('inputs.Unit.sol:'));
+		});
+	});
+
+	describe('watch', function() {
+		beforeEach(async function() {
+			await this.writeSources({'Lib.sol': LIB_SOURCE, 'Unit.sol': UNIT_SOURCE});
+			this.load = () => this.loadConfig(['Unit.sol', 'sub/*.sol']);
+			this.getArtifactPath = name =>
+				path.join(this.root, 'build', 'artifacts', `${name}.json`);
+			// Check whether an artifact has (fully) been written with bytecode
+			// other than `bytecode`.
+			this.hasNewBytecode = async (name, bytecode) => {
+				try {
+					const artifact = JSON.parse(await fs.readFile(
+						this.getArtifactPath(name), 'utf-8'));
+					return artifact.bytecode != bytecode;
+				} catch (err) {
+					return false;
+				}
+			};
+			// Watch (quietly) while running `fn`, returning the errors printed.
+			this.watch = async (fn) => {
+				const errors = [];
+				const {error} = console;
+				console.error = (...args) => errors.push(args.join(' '));
+				try {
+					await capture(async () => {
+						const watcher = await build.watch(this.load);
+						try {
+							await fn(errors);
+						} finally {
+							await watcher.close();
+						}
+					});
+				} finally {
+					console.error = error;
+				}
+				return errors;
+			};
+		});
+
+		it('keeps watching after a compile error', async function() {
+			const errors = await this.watch(async (errors) => {
+				const {bytecode} = JSON.parse(await fs.readFile(
+					this.getArtifactPath('Unit'), 'utf-8'));
+				await this.writeSources({'Unit.sol':
+					_.set(_.clone(UNIT_SOURCE), 9, '\t\ttotal += missing;')});
+				await waitFor(() => errors.length);
+				await this.writeSources({'Unit.sol':
+					_.set(_.clone(UNIT_SOURCE), 9, '\t\ttotal += 2;')});
+				await waitFor(() => this.hasNewBytecode('Unit', bytecode));
+			});
+			assert.equal(errors.length, 1);
+			assert(/Unit\.sol:10:\d+: DeclarationError: Undeclared identifier/
+				.test(errors[0]), errors[0]);
+		});
+
+		it('watches directories added to the sources', async function() {
+			const errors = await this.watch(async () => {
+				const {bytecode} = JSON.parse(await fs.readFile(
+					this.getArtifactPath('Unit'), 'utf-8'));
+				// The rebuild for an edit starts watching the new directory.
+				await fs.mkdir(path.join(this.sources, 'sub'));
+				await this.writeSources({'Unit.sol':
+					_.set(_.clone(UNIT_SOURCE), 9, '\t\ttotal += 2;')});
+				await waitFor(() => this.hasNewBytecode('Unit', bytecode));
+				await this.writeSources({'sub/New.sol':
+					['pragma solidity ^0.5.0;', '', 'contract New {}']});
+				await waitFor(() => this.hasNewBytecode('New'));
+			});
+			assert.deepEqual(errors, []);
+		});
+	});
+});
@@ -0,0 +1,226 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const fs = require('mz/fs');
+const os = require('os');
+const path = require('path');
+const {PassThrough} = require('stream');
+const bip39 = require('bip39');
+const ethjs = {
+	util: require('ethereumjs-util'),
+	wallet: require('ethereumjs-wallet')
+};
+const testbed = require('../src/testbed');
+const credentials = require('../src/credentials');
+
+const {ONE_TOKEN} = testbed;
+const PASSWORD = 'correct horse battery staple';
+// ganache-cli's deterministic (-d) mnemonic and its first accounts.
+const MNEMONIC =
+	'myth like bonus scare over problem client lizard pioneer submit female collect';
+const MNEMONIC_ADDRESSES = [
+	'0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1',
+	'0xFFcf8FDEE72ac11b5c542428B35EEF5769C409f0',
+	'0x22d491Bde2303f2f43325b2108D26f1eAbA1e32b'
+];
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		_.assign(this, await testbed({contracts: []}));
+		this.funder = _.first(this.accounts);
+		this.tmpdir = await fs.mkdtemp(path.join(os.tmpdir(), 'upcity-'));
+
+		// Fund an account and check that a key can transact on its behalf.
+		this.expectKeyWorks = async (key) => {
+			const address = credentials.keyToAddress(key);
+			await this.eth.transfer(address, ONE_TOKEN, {from: this.funder});
+			const receipt = await this.eth.transfer(
+				testbed.randomAddress(), 1, {key: key});
+			assert.equal(receipt.from.toLowerCase(), address.toLowerCase());
+		};
+
+		this.createKeystore = async (key, password=PASSWORD) => {
+			const wallet = ethjs.wallet.fromPrivateKey(ethjs.util.toBuffer(key));
+			const file = path.join(this.tmpdir, `${wallet.getAddressString()}.json`);
+			await fs.writeFile(file, wallet.toV3String(password, {n: 1024}));
+			return file;
+		};
+
+		this.createPrompt = (answer) => {
+			const input = new PassThrough();
+			const output = new PassThrough();
+			let printed = '';
+			output.on('data', d => printed += d.toString());
+			const prompt = async (query) => {
+				const promise = credentials.promptPassword(query,
+					{input: input, output: output});
+				input.write(`${answer}\n`);
+				return promise;
+			};
+			return {prompt: prompt, printed: () => printed};
+		};
+	});
+
+	after(async function() {
+		for (let file of await fs.readdir(this.tmpdir))
+			await fs.unlink(path.join(this.tmpdir, file));
+		await fs.rmdir(this.tmpdir);
+	});
+
+	it('can use a raw key', async function() {
+		const key = testbed.randomPrivateKey();
+		assert.equal(await credentials.getDeployerKey({key: key}), key);
+		await this.expectKeyWorks(await credentials.getDeployerKey({key: key}));
+	});
+
+	it('can use a raw key without a hex prefix', async function() {
+		const key = testbed.randomPrivateKey();
+		const _key = await credentials.getDeployerKey(
+			{key: ethjs.util.stripHexPrefix(key)});
+		assert.equal(_key, key);
+		await this.expectKeyWorks(_key);
+	});
+
+	it('can use a key from the environment', async function() {
+		const key = testbed.randomPrivateKey();
+		const cfg = credentials.applyCredentials({}, {},
+			{[credentials.ENV_VARS.key]: key});
+		await this.expectKeyWorks(await credentials.getDeployerKey(cfg));
+	});
+
+	it('can use a mnemonic', async function() {
+		const mnemonic = bip39.generateMnemonic();
+		const key = await credentials.getDeployerKey({mnemonic: mnemonic});
+		await this.expectKeyWorks(key);
+	});
+
+	it('can use a mnemonic with an account index', async function() {
+		const mnemonic = bip39.generateMnemonic();
+		const key = await credentials.getDeployerKey({mnemonic: mnemonic});
+		const key2 = await credentials.getDeployerKey(
+			{mnemonic: mnemonic, accountIndex: 2});
+		assert.notEqual(key2, key);
+		await this.expectKeyWorks(key2);
+	});
+
+	it('derives mnemonic accounts on the standard Ethereum path', async function() {
+		for (let [idx, address] of MNEMONIC_ADDRESSES.entries()) {
+			const key = await credentials.getDeployerKey(
+				{mnemonic: MNEMONIC, accountIndex: idx});
+			assert.equal(credentials.keyToAddress(key), address);
+		}
+	});
+
+	it('can use a mnemonic with a custom HD path', async function() {
+		const hdPath = `m/44'/60'/1'/0`;
+		const key = await credentials.getDeployerKey(
+			{mnemonic: MNEMONIC, hdPath: hdPath});
+		assert(!_.includes(MNEMONIC_ADDRESSES, credentials.keyToAddress(key)));
+		const [account] = credentials.getMnemonicAddresses(MNEMONIC, 1, hdPath);
+		assert.equal(credentials.keyToAddress(key), account.address);
+		await this.expectKeyWorks(key);
+	});
+
+	it('rejects an invalid HD path', async function() {
+		await assert.rejects(credentials.getDeployerKey(
+			{mnemonic: MNEMONIC, hdPath: `m/44'/60'/x`}), /Invalid HD path/);
+	});
+
+	it('can list mnemonic addresses', async function() {
+		const accounts = credentials.getMnemonicAddresses(
+			MNEMONIC, MNEMONIC_ADDRESSES.length);
+		assert.deepEqual(_.map(accounts, a => a.address), MNEMONIC_ADDRESSES);
+		assert.deepEqual(_.map(accounts, a => a.path),
+			_.times(accounts.length, i => `${credentials.DEFAULT_HD_PATH}/${i}`));
+	});
+
+	it('can use a mnemonic from the environment', async function() {
+		const mnemonic = bip39.generateMnemonic();
+		const cfg = credentials.applyCredentials({}, {},
+			{[credentials.ENV_VARS.mnemonic]: mnemonic});
+		const key = await credentials.getDeployerKey(cfg);
+		assert.equal(key, credentials.mnemonicToKey(mnemonic));
+		await this.expectKeyWorks(key);
+	});
+
+	it('can use a keystore with a password', async function() {
+		const key = testbed.randomPrivateKey();
+		const file = await this.createKeystore(key);
+		const _key = await credentials.getDeployerKey(
+			{keystore: file, password: PASSWORD});
+		assert.equal(_key, key);
+		await this.expectKeyWorks(_key);
+	});
+
+	it('can use a keystore and password from the environment', async function() {
+		const key = testbed.randomPrivateKey();
+		const file = await this.createKeystore(key);
+		const cfg = credentials.applyCredentials({}, {}, {
+			[credentials.ENV_VARS.keystore]: file,
+			[credentials.ENV_VARS.password]: PASSWORD
+		});
+		const _key = await credentials.getDeployerKey(cfg);
+		assert.equal(_key, key);
+		await this.expectKeyWorks(_key);
+	});
+
+	it('can use a keystore with a password from the environment', async function() {
+		const key = testbed.randomPrivateKey();
+		const file = await this.createKeystore(key);
+		const cfg = credentials.applyCredentials({keystore: file}, {},
+			{[credentials.ENV_VARS.password]: PASSWORD});
+		assert.equal(await credentials.getDeployerKey(cfg), key);
+	});
+
+	it('prompts for a keystore password without echoing it', async function() {
+		const key = testbed.randomPrivateKey();
+		const file = await this.createKeystore(key);
+		const {prompt, printed} = this.createPrompt(PASSWORD);
+		const _key = await credentials.getDeployerKey(
+			{keystore: file}, {prompt: prompt});
+		assert.equal(_key, key);
+		assert(/Password for/.test(printed()));
+		assert(!_.includes(printed(), PASSWORD));
+		await this.expectKeyWorks(_key);
+	});
+
+	it('rejects a keystore with the wrong password', async function() {
+		const file = await this.createKeystore(testbed.randomPrivateKey());
+		await assert.rejects(credentials.getDeployerKey(
+			{keystore: file, password: 'wrong'}), /Key derivation failed/);
+	});
+
+	it('rejects a keystore with an empty prompted password', async function() {
+		const file = await this.createKeystore(testbed.randomPrivateKey());
+		const {prompt} = this.createPrompt('');
+		await assert.rejects(credentials.getDeployerKey(
+			{keystore: file}, {prompt: prompt}), /No password/);
+	});
+
+	it('command line credentials are not mixed with other sources', async function() {
+		const key = testbed.randomPrivateKey();
+		const mnemonic = bip39.generateMnemonic();
+		const cfg = credentials.applyCredentials(
+			{key: testbed.randomPrivateKey(), gasPrice: 1},
+			{mnemonic: mnemonic},
+			{[credentials.ENV_VARS.key]: key});
+		assert.deepEqual(cfg, {gasPrice: 1, mnemonic: mnemonic});
+	});
+
+	it('environment credentials take precedence over the config', async function() {
+		const key = testbed.randomPrivateKey();
+		const cfg = credentials.applyCredentials(
+			{mnemonic: bip39.generateMnemonic()}, {},
+			{[credentials.ENV_VARS.key]: key});
+		assert.deepEqual(cfg, {key: key});
+	});
+
+	it('redacts key material', async function() {
+		const mnemonic = bip39.generateMnemonic();
+		const key = await credentials.getDeployerKey({mnemonic: mnemonic});
+		const text = credentials.redact(
+			`${mnemonic} ${key} ${ethjs.util.stripHexPrefix(key)}`);
+		assert(!_.includes(text, mnemonic));
+		assert(!_.includes(text, ethjs.util.stripHexPrefix(key)));
+	});
+});
@@ -0,0 +1,104 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const fs = require('mz/fs');
+const os = require('os');
+const path = require('path');
+const testbed = require('../src/testbed');
+const deploy = require('../src/deploy');
+const capture = require('./lib/capture');
+const {RESOURCE_NAMES} = require('../constants');
+const DEPLOY_CONFIG = require('../deploy.config');
+const {getRecordPath} = require('../src/deployment');
+
+const KEY = testbed.randomPrivateKey();
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		_.assign(this, await testbed({contracts: [], accounts: [KEY]}));
+		this.tmpdir = await fs.mkdtemp(path.join(os.tmpdir(), 'upcity-'));
+	});
+
+	after(async function() {
+		await fs.rmdir(this.tmpdir);
+	});
+
+	it('falls back to the network ID on nodes without eth_chainId', async function() {
+		// ganache 6 doesn't support eth_chainId.
+		assert.equal(await deploy.getChainId(this.eth),
+			await this.eth.web3.eth.net.getId());
+	});
+
+	it('accepts the chain a target expects', async function() {
+		const chainId = await deploy.getChainId(this.eth);
+		assert.equal(
+			await deploy.checkChainId('test', {chainId: chainId}, this.eth), chainId);
+	});
+
+	it('refuses a chain a target does not expect', async function() {
+		const chainId = await deploy.getChainId(this.eth);
+		await assert.rejects(deploy.checkChainId('test', {chainId: chainId + 1},
+			this.eth), /expects chain/);
+	});
+
+	it('refuses a target without a chainId', async function() {
+		await assert.rejects(deploy.checkChainId('test', {}, this.eth),
+			/does not declare a chainId/);
+	});
+
+	it('simulates a deployment without recording it', async function() {
+		const cfg = _.assign({}, DEPLOY_CONFIG.localhost,
+			{gasPrice: 1e9, deployments: this.tmpdir});
+		const out = await capture(() => deploy.dryRun(
+			{config: cfg, target: 'localhost', deployer: cfg.deployer}));
+		for (let step of ['UpcityGame', 'UpcityMarket', ...RESOURCE_NAMES,
+				'market.init', 'game.init'])
+			assert(new RegExp(`\t${step}: \\d+ gas \\(`).test(out), out);
+		assert(/Dry run \(at 1 gwei gas price\)/.test(out), out);
+		assert(/Total ether required: [\d.]+ ETH/.test(out), out);
+		assert(/market\.init deposit: [\d.]+ ETH/.test(out), out);
+		assert(out.includes('market.init: UpcityMarket.init(' +
+			`128000000000000000000, [${RESOURCE_NAMES.join(', ')}], [UpcityGame])`), out);
+		assert(out.includes(`game.init: UpcityGame.init(UpcityMarket, ` +
+			`${cfg.authorities[0]}, [${cfg.authorities.join(', ')}])`), out);
+		assert.deepEqual(await fs.readdir(this.tmpdir), []);
+	});
+
+	describe('check', function() {
+		before(async function() {
+			this.config = _.assign({}, DEPLOY_CONFIG.localhost,
+				{key: KEY, deployments: this.tmpdir});
+			await capture(() => deploy.deploy({
+				config: this.config,
+				eth: this.eth,
+				target: 'localhost',
+				deployer: this.config.deployer
+			}));
+		});
+
+		after(async function() {
+			await fs.unlink(getRecordPath('localhost', this.tmpdir));
+		});
+
+		it('passes a deployment wired by the deployer', async function() {
+			const out = await capture(() => deploy.check(
+				{config: this.config, eth: this.eth, target: 'localhost'}));
+			assert(!/FAIL/.test(out), out);
+			assert(/All \d+ deployment checks passed/.test(out), out);
+			assert(out.includes('PASS game is initialized'), out);
+			assert(out.includes('PASS market is initialized'), out);
+			for (let [i, name] of RESOURCE_NAMES.entries())
+				assert(out.includes(`PASS market token ${i} is the "${name}" proxy`), out);
+		});
+
+		it('fails a deployment wired differently than expected', async function() {
+			const stranger = testbed.randomAddress();
+			const config = _.assign({}, this.config,
+				{authorities: [...this.config.authorities, stranger]});
+			await assert.rejects(capture(() => deploy.check(
+				{config: config, eth: this.eth, target: 'localhost'})),
+				err => /1 of \d+ deployment checks failed/.test(err.message) &&
+					err.log.includes(`FAIL ${stranger} is an authority on the game`));
+		});
+	});
+});
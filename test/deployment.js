@@ -0,0 +1,207 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const bn = require('bn-str-256');
+const fs = require('mz/fs');
+const os = require('os');
+const path = require('path');
+const testbed = require('../src/testbed');
+const {Deployment, getRecordPath, loadRecord, isInitialized} =
+	require('../src/deployment');
+const {TransactionSender} = require('../src/sender');
+const {encodeFunctionCall} = require('../src/offline');
+const util = require('../src/util');
+
+const {ONE_TOKEN} = testbed;
+const KEY = testbed.randomPrivateKey();
+const TARGET = 'localhost';
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		_.assign(this, await testbed({
+			contracts: ['UpcityMarket', 'UpcityResourceTokenProxy'],
+			accounts: [KEY]}));
+		this.from = _.first(this.accounts);
+		this.chainId = await util.getChainId(this.eth);
+		this.tmpdir = await fs.mkdtemp(path.join(os.tmpdir(), 'upcity-'));
+		this.loadRecord = () => loadRecord(TARGET, this.tmpdir);
+
+		this.createDeployment = (record) => new Deployment({
+			target: TARGET,
+			chainId: this.chainId,
+			deployer: this.from,
+			confirmations: 0,
+			record: record,
+			deployments: this.tmpdir,
+			sender: new TransactionSender({
+				eth: this.eth,
+				key: KEY,
+				from: this.from,
+				pollInterval: 10
+			})
+		});
+
+		this.createContract = (name, artifactHash=name) =>
+			_.assign(this.contracts[name].clone(),
+				{artifactName: name, artifactHash: artifactHash});
+
+		// Deploy a market and a token, and initialize the market.
+		this.deploy = async (deployment) => {
+			const market = this.createContract('UpcityMarket');
+			const token = this.createContract('UpcityResourceTokenProxy');
+			await deployment.deploy('market', market);
+			await deployment.deploy('token', token, ['Token', 'TKN', market.address]);
+			await deployment.init('market.init', market,
+				[bn.mul(100, ONE_TOKEN),
+					[token.address, testbed.randomAddress(), testbed.randomAddress()], []],
+				{value: ONE_TOKEN});
+			return {market: market, token: token};
+		};
+	});
+
+	after(async function() {
+		await fs.rmdir(this.tmpdir);
+	});
+
+	beforeEach(async function() {
+		this.snapshotId = await this.saveSnapshot();
+	});
+
+	afterEach(async function() {
+		await this.restoreSnapshot(this.snapshotId);
+		try {
+			await fs.unlink(getRecordPath(TARGET, this.tmpdir));
+		} catch (err) {
+			if (err.code != 'ENOENT')
+				throw err;
+		}
+	});
+
+	it('records each contract and call in <target>.json', async function() {
+		const {market, token} = await this.deploy(this.createDeployment());
+		const record = await this.loadRecord();
+		assert.equal(record.target, TARGET);
+		assert.equal(record.chainId, this.chainId);
+		assert.equal(record.deployer, this.from);
+		assert.deepEqual(_.keys(record.contracts), ['market', 'token']);
+		assert.deepEqual(_.pick(record.contracts.token,
+			['contract', 'address', 'args', 'artifactHash']), {
+			contract: 'UpcityResourceTokenProxy',
+			address: token.address,
+			args: ['Token', 'TKN', market.address],
+			artifactHash: 'UpcityResourceTokenProxy'
+		});
+		const tx = await this.eth.web3.eth.getTransactionReceipt(
+			record.contracts.market.txHash);
+		assert.equal(tx.contractAddress.toLowerCase(), market.address.toLowerCase());
+		assert.equal(record.contracts.market.block, tx.blockNumber);
+		assert.deepEqual(_.pick(record.calls['market.init'],
+			['contract', 'address', 'method']),
+			{contract: 'market', address: market.address, method: 'init'});
+		assert(!record.pending);
+	});
+
+	it('resumes from a partial record, skipping completed steps', async function() {
+		const deployment = this.createDeployment();
+		const market = this.createContract('UpcityMarket');
+		await deployment.deploy('market', market);
+		const record = await this.loadRecord();
+		const resumed = this.createDeployment(record);
+		const contracts = await this.deploy(resumed);
+		assert.equal(contracts.market.address, market.address);
+		assert.equal(resumed.contracts.market.txHash,
+			deployment.contracts.market.txHash);
+		assert.deepEqual(_.keys((await this.loadRecord()).contracts),
+			['market', 'token']);
+		// One transaction each for the market, token, and init().
+		assert.equal(await this.eth.getTransactionCount(this.from), 3);
+	});
+
+	it('does not call init() again on an initialized contract', async function() {
+		await this.deploy(this.createDeployment());
+		const record = _.assign(await this.loadRecord(), {calls: {}});
+		await this.deploy(this.createDeployment(record));
+		const call = (await this.loadRecord()).calls['market.init'];
+		assert.equal(call.txHash, null);
+		assert.equal(await this.eth.getTransactionCount(this.from), 3);
+	});
+
+	it('forgets a pending init() once the contract is initialized', async function() {
+		const {market} = await this.deploy(this.createDeployment());
+		const record = _.assign(await this.loadRecord(), {calls: {}});
+		const deployment = this.createDeployment(record);
+		record.pending = {'market.init': await deployment.sender.prepare(
+			{to: market.address, data: '0x'})};
+		await this.deploy(deployment);
+		const saved = await this.loadRecord();
+		assert(!saved.pending);
+		assert.equal(saved.calls['market.init'].txHash, null);
+		assert.equal(await this.eth.getTransactionCount(this.from), 3);
+	});
+
+	it('sends a step again after its transaction failed', async function() {
+		const deployment = this.createDeployment();
+		const market = this.createContract('UpcityMarket');
+		const token = this.createContract('UpcityResourceTokenProxy');
+		await deployment.deploy('market', market);
+		await deployment.deploy('token', token, ['Token', 'TKN', market.address]);
+		// Leave market.init pending with too little gas, so it gets mined but
+		// fails.
+		const args = [bn.mul(100, ONE_TOKEN),
+			[token.address, testbed.randomAddress(), testbed.randomAddress()], []];
+		const pending = await deployment.sender.prepare({
+			to: market.address,
+			data: encodeFunctionCall(market, 'init', args),
+			value: ONE_TOKEN
+		});
+		pending.tx.gasLimit = Math.floor(pending.tx.gasLimit / 4);
+		deployment.record.pending = {'market.init': pending};
+		await assert.rejects(
+			deployment.init('market.init', market, args, {value: ONE_TOKEN}),
+			/Transaction 0x[0-9a-f]+ failed/);
+		const record = await this.loadRecord();
+		assert(!record.pending);
+		assert(!record.calls['market.init']);
+		await this.deploy(this.createDeployment(record));
+		const call = (await this.loadRecord()).calls['market.init'];
+		assert(call.txHash);
+		assert(!_.some(pending.transactions, {hash: call.txHash}));
+		// The market, the token, and both init() transactions.
+		assert.equal(await this.eth.getTransactionCount(this.from), 4);
+	});
+
+	it('refuses to resume with a different artifact', async function() {
+		const deployment = this.createDeployment();
+		await deployment.deploy('market', this.createContract('UpcityMarket'));
+		const resumed = this.createDeployment(await this.loadRecord());
+		await assert.rejects(resumed.deploy('market',
+			this.createContract('UpcityMarket', 'changed')),
+			/deployed from a different "UpcityMarket" artifact/);
+	});
+
+	it('refuses to resume a contract with no code', async function() {
+		const deployment = this.createDeployment();
+		await deployment.deploy('market', this.createContract('UpcityMarket'));
+		const record = await this.loadRecord();
+		record.contracts.market.address = testbed.randomAddress();
+		await assert.rejects(this.createDeployment(record).deploy('market',
+			this.createContract('UpcityMarket')), /there is no code there/);
+	});
+
+	describe('isInitialized()', function() {
+		it('tells whether a contract is initialized', async function() {
+			const deployment = this.createDeployment();
+			const market = this.createContract('UpcityMarket');
+			await deployment.deploy('market', market);
+			assert.equal(await isInitialized(market, this.from), false);
+			await this.deploy(this.createDeployment(await this.loadRecord()));
+			assert.equal(await isInitialized(market, this.from), true);
+		});
+
+		it('refuses to guess for anyone but the creator', async function() {
+			const {market} = await this.deploy(this.createDeployment());
+			await assert.rejects(isInitialized(market, testbed.randomAddress()),
+				/is not its creator/);
+		});
+	});
+});
@@ -14,13 +14,10 @@ const {
 	NUM_SEASONS,
 	SEASON_FREQUENCY,
  	RESOURCE_NAMES,
-	RESOURCE_SYMBOLS,
- 	CONNECTOR_WEIGHT } = constants;
+	RESOURCE_SYMBOLS } = constants;
 const BLOCKS = _.times(NUM_RESOURCES);
 const SUPPLY_LOCK = bn.mul(100, ONE_TOKEN);
 const INITIAL_FUNDS = bn.mul(1, ONE_TOKEN);
-const TOKEN_NAME = 'TestToken';
-const TOKEN_SYMBOL = 'TTKN';
 const NEIGHBOR_OFFSETS = [[1,0], [1,-1], [0,-1], [-1,0], [-1,1], [0,1]];
 const NUM_NEIGHBORS = NEIGHBOR_OFFSETS.length;
 const ONE_DAY = 24 * 60 * 60;
@@ -30,41 +27,21 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 
 	before(async function() {
 		_.assign(this, await testbed());
-		this.authority = this.accounts[0];
-		this.genesisPlayer = this.accounts[1];
-		this.users = _.slice(this.accounts, 2);
-		this.market = this.contracts['UpcityMarket'];
-		this.game = this.contracts['UpcityGame'];
+		// Deploy and init the game, market, and token proxies.
+		const fixture = await this.deployUpcity(
+			{supplyLock: SUPPLY_LOCK, initialFunds: INITIAL_FUNDS});
+		const tokens = this.tokens = fixture.tokens;
+		this.authority = fixture.authority;
+		this.genesisPlayer = fixture.genesisPlayer;
+		this.users = fixture.users;
+		this.market = fixture.market;
+		this.game = fixture.game;
 		this.randomToken = () => _.sample(tokens);
 		this.randomUsers = (size=1) => _.sampleSize(this.users, size);
-		this.describeTile = describeTile;
-		this.buyTokens = buyTokens;
-		this.buildTower = buildTower;
-		this.buyTile = buyTile;
-
-		// Deploy the game and market
-		await this.game.new();
-		await this.market.new();
-		// Deploy and init the token proxies.
-		const tokens = this.tokens = _.times(NUM_RESOURCES,
-			i => this.contracts['UpcityResourceTokenProxy'].clone());
-		for (let i = 0; i < NUM_RESOURCES; i++) {
-			const inst = tokens[i];
-			inst.NAME = `${TOKEN_NAME}-${i}`;
-			inst.SYMBOL = `${TOKEN_SYMBOL}-${i}`;
-			inst.IDX = i;
-			await inst
-				.new(inst.NAME, inst.SYMBOL, this.market.address);
-		}
-		// Initialize the market.
-		await this.market.init(
-			SUPPLY_LOCK, _.map(tokens, t => t.address), [this.game.address],
-			{value: INITIAL_FUNDS});
-		//  Initialize the game.
-		await this.game.init(
-			this.market.address,
-			this.genesisPlayer,
-			[this.authority]);
+		this.describeTile = fixture.describeTile;
+		this.buyTokens = fixture.buyTokens;
+		this.buildTower = fixture.buildTower;
+		this.buyTile = fixture.buyTile;
 	});
 
 	beforeEach(async function() {
@@ -129,7 +106,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 				const tile = await this.describeTile(0, 0);
 				if (tile.inSeason)
 					timesInSeason++;
-				await this.game.__advanceTime(dt);
+				await this.advanceTime(dt);
 			}
 			assert.equal(timesInSeason, SEASON_FREQUENCY);
 		});
@@ -637,7 +614,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 		it('collect on unowned tile does nothing', async function() {
 			const [caller] = _.sampleSize(this.users, 1);
 			const [x, y] = _.sample(NEIGHBOR_OFFSETS);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			const tx = await this.game.collect(x, y);
 			assert(!tx.findEvent('Collected', {id: toTileId(x, y)}));
 		});
@@ -645,7 +622,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 		it('cannot collect nonexistant tile', async function() {
 			const [caller] = _.sampleSize(this.users, 1);
 			const [x, y] = [100, -100];
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			await assert.rejects(this.game.collect(x, y), ERRORS.NOT_FOUND);
 		});
 
@@ -657,7 +634,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			// Build one of each block.
 			await this.buildTower(x, y, BLOCKS, owner);
 			await this.game.__fundTileAt(x, y, [0,0,0], {value: 100});
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			const tx = await this.game.collect(x, y, {from: caller});
 			assert(tx.findEvent('Collected', {id: toTileId(x, y), owner: owner}));
 			const transfers = tx.findEvents('Transfer');
@@ -688,7 +665,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			const funds = 100;
 			// Build one of each block.
 			await this.buildTower(x, y, BLOCKS, owner);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			const tx = await this.game.collect(x, y, {from: owner});
 			assert(tx.findEvent('Collected', {id: toTileId(x, y), owner: owner}));
 			const tile = await this.describeTile(x, y);
@@ -721,7 +698,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			// Build one of each block in the center tile.
 			await this.buildTower(x, y, BLOCKS, centerOwner);
 			// Advance time.
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			// Buy up all the tiles around it.
 			// Note that this has to be done in serial because the price of each
 			// tile will increase as the properties around it are bought up.
@@ -751,7 +728,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			// Build one of each block in the center tile.
 			await this.buildTower(x, y, BLOCKS, centerOwner);
 			// Advance time.
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			// Buy up all the tiles around it.
 			// Note that this has to be done in serial because the price of each
 			// tile will increase as the properties around it are bought up.
@@ -785,13 +762,6 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 
 /// Utility Functions
 
-function decodeBlocks(encoded) {
-	const hex = bn.toHex(encoded, MAX_HEIGHT*2).substr(2);
-	return _.filter(
-		_.times(MAX_HEIGHT, i => parseInt(hex.substr(-(i+1)*2, 2), 16)),
-		b => b != 255);
-}
-
 function encodeBlocks(blocks) {
 	assert(blocks.length <= MAX_HEIGHT);
 	const slots = [];
@@ -805,32 +775,6 @@ function encodeName(name) {
 	return '0x'+ethjs.setLengthRight(Buffer.from(name), 16).toString('hex');
 }
 
-function decodeName(encoded) {
-	const buf = ethjs.toBuffer(encoded);
-	let end = 0;
-	for (; end < buf.length; end++) {
-		if (buf[end] == 0)
-			break;
-	}
-	return buf.slice(0, end).toString();
-}
-
-function unpackDescription(r) {
-	return {
-		id: r.id,
-		name: decodeName(r.name),
-		lastTouchTime: bn.toNumber(r.lastTouchTime),
-		timesBought: bn.toNumber(r.timesBought),
-		owner: r.owner,
-		blocks: decodeBlocks(r.blocks),
-		price: r.price,
-		sharedResources: r.sharedResources,
-		funds: r.funds,
-		inSeason: r.inSeason,
-		scores: r.scores
-	};
-}
-
 function toInt32Buffer(v) {
 	if (bn.lt(v, 0)) {
 		// Encode as two's complement.
@@ -872,51 +816,3 @@ function getDistributions(tileInfos) {
 	);
 }
 
-function getTokenPurchaseCost(amount, supply, funds) {
-	let c = bn.div(bn.add(supply, amount), supply)
-	c = bn.pow(c, 1/CONNECTOR_WEIGHT);
-	c = bn.sub(c, 1);
-	c = bn.mul(c, funds);
-	return bn.round(c);
-}
-
-async function describeTile(x, y) {
-	return _.assign(
-		unpackDescription(await this.game.describeTile(x, y)),
-		{x: x, y: y});
-}
-
-async function buyTokens(whom, amounts, bonus=0.01) {
-	assert(_.isArray(amounts) && amounts.length == NUM_RESOURCES);
-	const states = await Promise.all(
-		_.map(this.tokens, t => this.market.describeToken(t.address)));
-	// Predict the cost of buying each token amount, with a little breathing
-	// room.
-	const costs = _.map(_.zip(states, amounts), ([s, a]) => bn.int(
-			bn.mul(getTokenPurchaseCost(a, s.supply, s.funds), (1+bonus))));
-	const tx = await this.market.buy(
-		costs, whom, {from: whom, value: bn.sum(costs)});
-	// Sell any excess tokens.
-	const sells = _.times(NUM_RESOURCES, i => '0');
-	for (let token of this.tokens) {
-		const amount = amounts[token.IDX];
-		const {bought} = tx.findEvent('Bought', {resource: token.address}).args;
-		if (bought)
-			sells[token.IDX] = bn.max(0, bn.sub(bought, amount));
-	}
-	await this.market.sell(sells, whom, {from: whom});
-}
-
-async function buildTower(x, y, blocks, caller=null) {
-	if (!caller)
-		caller = (await this.describeTile(x, y)).owner;
-	let cost = await this.game.getBuildCost(x, y, encodeBlocks(blocks));
-	await this.buyTokens(caller, cost);
-	return this.game.buildBlocks(x, y, encodeBlocks(blocks),
-		{from: caller});
-}
-
-async function buyTile(x, y, player) {
-	const {price} = await this.describeTile(x, y);
-	return this.game.buy(x, y, {from: player, value: price});
-}
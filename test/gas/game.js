@@ -13,13 +13,10 @@ const {
 	MAX_HEIGHT,
 	NUM_RESOURCES,
  	RESOURCE_NAMES,
-	RESOURCE_SYMBOLS,
- 	CONNECTOR_WEIGHT } = constants;
+	RESOURCE_SYMBOLS } = constants;
 const BLOCKS = _.times(NUM_RESOURCES);
 const SUPPLY_LOCK = bn.mul(100, ONE_TOKEN);
 const INITIAL_FUNDS = bn.mul(0.1, ONE_TOKEN);
-const TOKEN_NAME = 'TestToken';
-const TOKEN_SYMBOL = 'TTKN';
 const NEIGHBOR_OFFSETS = [[1,0], [1,-1], [0,-1], [-1,0], [-1,1], [0,1]];
 const NUM_NEIGHBORS = NEIGHBOR_OFFSETS.length;
 const ONE_DAY = 24 * 60 * 60;
@@ -29,42 +26,22 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 
 	before(async function() {
 		_.assign(this, await testbed());
-		this.authority = this.accounts[0];
-		this.genesisPlayer = this.accounts[1];
-		this.users = _.slice(this.accounts, 2);
-		this.market = this.contracts['UpcityMarket'];
-		this.game = this.contracts['UpcityGame'];
+		// Deploy and init the game, market, and token proxies.
+		const fixture = await this.deployUpcity(
+			{supplyLock: SUPPLY_LOCK, initialFunds: INITIAL_FUNDS});
+		const tokens = this.tokens = fixture.tokens;
+		this.authority = fixture.authority;
+		this.genesisPlayer = fixture.genesisPlayer;
+		this.users = fixture.users;
+		this.market = fixture.market;
+		this.game = fixture.game;
 		this.randomToken = () => _.sample(tokens);
 		this.randomUsers = (size=1) => _.sampleSize(this.users, size);
-		this.describeTile = describeTile;
-		this.buyTokens = buyTokens;
-		this.buildTower = buildTower;
-		this.buyTile = buyTile;
+		this.describeTile = fixture.describeTile;
+		this.buyTokens = fixture.buyTokens;
+		this.buildTower = fixture.buildTower;
+		this.buyTile = fixture.buyTile;
 		this.collect = collect;
-
-		// Deploy the game and market
-		await this.game.new();
-		await this.market.new();
-		// Deploy and init the token proxies.
-		const tokens = this.tokens = _.times(NUM_RESOURCES,
-			i => this.contracts['UpcityResourceTokenProxy'].clone());
-		for (let i = 0; i < NUM_RESOURCES; i++) {
-			const inst = tokens[i];
-			inst.NAME = `${TOKEN_NAME}-${i}`;
-			inst.SYMBOL = `${TOKEN_SYMBOL}-${i}`;
-			inst.IDX = i;
-			await inst
-				.new(inst.NAME, inst.SYMBOL, this.market.address);
-		}
-		// Initialize the market.
-		await this.market.init(
-			SUPPLY_LOCK, _.map(tokens, t => t.address), [this.game.address],
-			{value: INITIAL_FUNDS});
-		//  Initialize the game.
-		await this.game.init(
-			this.market.address,
-			this.genesisPlayer,
-			[this.authority]);
 	});
 
 	beforeEach(async function() {
@@ -79,14 +56,14 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 		test('owned, empty tile, no neighbors', async function() {
 			const [buyer] = _.sampleSize(this.users, 1);
 			const [x, y] = [0, 0];
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buyTile(x, y, buyer);
 		});
 
 		test('edge tile', async function() {
 			const [buyer] = _.sampleSize(this.users, 1);
 			const [x, y] = _.sample(NEIGHBOR_OFFSETS);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buyTile(x, y, buyer);
 		});
 
@@ -95,7 +72,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			const [x, y] = [0, 0];
 			const blocks = _.times(MAX_HEIGHT, i => i % NUM_RESOURCES);
 			await this.buildTower(x, y, blocks);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buyTile(x, y, buyer);
 		});
 
@@ -106,7 +83,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			const [buyer] = _.sampleSize(this.users, 1);
 			const blocks = _.times(MAX_HEIGHT, i => i % NUM_RESOURCES);
 			await this.buildTower(x, y, blocks);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buyTile(x, y, buyer);
 		});
 
@@ -119,7 +96,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			}
 			const [buyer] = _.sampleSize(this.users, 1);
 			await this.buildTower(x, y, blocks);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buyTile(x, y, buyer);
 		});
 
@@ -128,7 +105,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 	describe('collect', function() {
 		test('no tower, no neighbors', async function() {
 			const [x, y] = [0, 0];
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.collect(x, y);
 		});
 
@@ -136,7 +113,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			const [x, y] = [0, 0];
 			const blocks = _.times(MAX_HEIGHT, i => i % NUM_RESOURCES);
 			await this.buildTower(x, y, blocks);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.collect(x, y);
 		});
 
@@ -146,7 +123,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 				await this.buyTile(x + nx, y + ny, _.sample(this.users));
 			const blocks = _.times(MAX_HEIGHT, i => i % NUM_RESOURCES);
 			await this.buildTower(x, y, blocks);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.collect(x, y);
 		});
 	});
@@ -154,20 +131,20 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 	describe('buildBlocks', function() {
 		test('0 + 1', async function() {
 			const [x, y] = [0, 0];
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buildTower(x, y, [0]);
 		});
 
 		test('1 + 1', async function() {
 			const [x, y] = [0, 0];
 			await this.buildTower(x, y, [0]);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buildTower(x, y, [1]);
 		});
 
 		test('0 + MAX_HEIGHT', async function() {
 			const [x, y] = [0, 0];
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			const blocks = _.times(MAX_HEIGHT, i => i % NUM_RESOURCES);
 			return this.buildTower(x, y, blocks);
 		});
@@ -175,7 +152,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 		test('1 + (MAX_HEIGHT-1)', async function() {
 			const [x, y] = [0, 0];
 			await this.buildTower(x, y, [0]);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			const blocks = _.times(MAX_HEIGHT-1, i => i % NUM_RESOURCES);
 			return this.buildTower(x, y, blocks);
 		});
@@ -184,7 +161,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			const [x, y] = [0, 0];
 			for (const [nx, ny] of NEIGHBOR_OFFSETS)
 				await this.buyTile(x + nx, y + ny, _.sample(this.users));
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buildTower(x, y, [0]);
 		});
 
@@ -193,7 +170,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			for (const [nx, ny] of NEIGHBOR_OFFSETS)
 				await this.buyTile(x + nx, y + ny, _.sample(this.users));
 			await this.buildTower(x, y, [0]);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			return this.buildTower(x, y, [1]);
 		});
 
@@ -201,7 +178,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			const [x, y] = [0, 0];
 			for (const [nx, ny] of NEIGHBOR_OFFSETS)
 				await this.buyTile(x + nx, y + ny, _.sample(this.users));
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			const blocks = _.times(MAX_HEIGHT, i => i % NUM_RESOURCES);
 			return this.buildTower(x, y, blocks);
 		});
@@ -211,7 +188,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 			for (const [nx, ny] of NEIGHBOR_OFFSETS)
 				await this.buyTile(x + nx, y + ny, _.sample(this.users));
 			await this.buildTower(x, y, [0]);
-			await this.game.__advanceTime(ONE_DAY);
+			await this.advanceTime(ONE_DAY);
 			const blocks = _.times(MAX_HEIGHT-1, i => i % NUM_RESOURCES);
 			return this.buildTower(x, y, blocks);
 		});
@@ -238,13 +215,6 @@ function printGasUsage(gasUsed) {
 	console.log('\t' + s);
 }
 
-function decodeBlocks(encoded) {
-	const hex = bn.toHex(encoded, MAX_HEIGHT*2).substr(2);
-	return _.filter(
-		_.times(MAX_HEIGHT, i => parseInt(hex.substr(-(i+1)*2, 2), 16)),
-		b => b != 255);
-}
-
 function encodeBlocks(blocks) {
 	assert(blocks.length <= MAX_HEIGHT);
 	const slots = [];
@@ -258,32 +228,6 @@ function encodeName(name) {
 	return '0x'+ethjs.setLengthRight(Buffer.from(name), 16).toString('hex');
 }
 
-function decodeName(encoded) {
-	const buf = ethjs.toBuffer(encoded);
-	let end = 0;
-	for (; end < buf.length; end++) {
-		if (buf[end] == 0)
-			break;
-	}
-	return buf.slice(0, end).toString();
-}
-
-function unpackDescription(r) {
-	return {
-		id: r.id,
-		name: decodeName(r.name),
-		lastTouchTime: bn.toNumber(r.lastTouchTime),
-		timesBought: bn.toNumber(r.timesBought),
-		owner: r.owner,
-		blocks: decodeBlocks(r.blocks),
-		price: r.price,
-		sharedResources: r.sharedResources,
-		funds: r.funds,
-		inSeason: r.inSeason,
-		scores: r.scores
-	};
-}
-
 function toInt32Buffer(v) {
 	if (bn.lt(v, 0)) {
 		// Encode as two's complement.
@@ -320,55 +264,6 @@ function getDistributions(tileInfos) {
 	);
 }
 
-function getTokenPurchaseCost(amount, supply, funds) {
-	let c = bn.div(bn.add(supply, amount), supply)
-	c = bn.pow(c, 1/CONNECTOR_WEIGHT);
-	c = bn.sub(c, 1);
-	c = bn.mul(c, funds);
-	return bn.round(c);
-}
-
-async function describeTile(x, y) {
-	return _.assign(
-		unpackDescription(await this.game.describeTile(x, y)),
-		{x: x, y: y});
-}
-
-async function buyTokens(whom, amounts, bonus=0.01) {
-	assert(_.isArray(amounts) && amounts.length == NUM_RESOURCES);
-	const states = await Promise.all(
-		_.map(this.tokens, t => this.market.describeToken(t.address)));
-	// Predict the cost of buying each token amount, with a little breathing
-	// room.
-	const costs = _.map(_.zip(states, amounts), ([s, a]) => bn.int(
-			bn.mul(getTokenPurchaseCost(a, s.supply, s.funds), (1+bonus))));
-	const tx = await this.market.buy(
-		costs, whom, {from: whom, value: bn.sum(costs)});
-	// Sell any excess tokens.
-	const sells = _.times(NUM_RESOURCES, i => '0');
-	for (let token of this.tokens) {
-		const amount = amounts[token.IDX];
-		const {bought} = tx.findEvent('Bought', {resource: token.address}).args;
-		if (bought)
-			sells[token.IDX] = bn.max(0, bn.sub(bought, amount));
-	}
-	await this.market.sell(sells, whom, {from: whom});
-}
-
-async function buildTower(x, y, blocks, caller=null, gasOnly=false) {
-	if (!caller)
-		caller = (await this.describeTile(x, y)).owner;
-	let cost = await this.game.getBuildCost(x, y, encodeBlocks(blocks));
-	await this.buyTokens(caller, cost);
-	return this.game.buildBlocks(x, y, encodeBlocks(blocks),
-		{from: caller, gasOnly: gasOnly});
-}
-
-async function buyTile(x, y, player) {
-	const {price} = await this.describeTile(x, y);
-	return this.game.buy(x, y, {from: player, value: price});
-}
-
 async function collect(x, y) {
 	const {owner} = await this.describeTile(x, y);
 	return this.game.collect(x, y, {from: owner});
@@ -0,0 +1,20 @@
+'use strict'
+
+// Call `fn`, returning everything it logs or warns (without colors). If it
+// throws, the log is attached to the error as `log`.
+module.exports = async function capture(fn) {
+	const lines = [];
+	const {log, warn} = console;
+	const getLog = () => lines.join('\n').replace(/\u001b\[\d+m/g, '');
+	console.log = console.warn = (...args) => lines.push(args.join(' '));
+	try {
+		await fn();
+	} catch (err) {
+		err.log = getLog();
+		throw err;
+	} finally {
+		console.log = log;
+		console.warn = warn;
+	}
+	return getLog();
+};
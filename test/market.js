@@ -31,6 +31,7 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 		// Deploy the market and tokens.
 		const market = this.market = this.contracts['UpcityMarket'].clone();
 		await market.new();
+		this.trackTime(market);
 		const tokens = this.tokens = _.times(NUM_TOKENS,
 			i => this.contracts['UpcityResourceTokenProxy'].clone());
 		for (let i = 0; i < NUM_TOKENS; i++) {
@@ -270,6 +271,21 @@ describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 		}
 	});
 
+	it('priceYesterday only updates once a day has passed', async function() {
+		const [buyer] = _.sampleSize(this.users, 1);
+		const token = _.sample(this.tokens).address;
+		const buys = _.times(NUM_RESOURCES, i => ONE_TOKEN);
+		const before = await this.market.describeToken(token);
+		await this.market.buy(buys, buyer, {from: buyer, value: bn.sum(buys)});
+		const bought = await this.market.describeToken(token);
+		assert.equal(bought.priceYesterday, before.priceYesterday);
+		assert(bn.gt(bought.price, before.price));
+		await this.advanceTime(ONE_DAY);
+		await this.market.buy(buys, buyer, {from: buyer, value: bn.sum(buys)});
+		const after = await this.market.describeToken(token);
+		assert.equal(after.priceYesterday, bought.price);
+	});
+
 	it('Raises Funded even when funded', async function() {
 		const amount = bn.int(bn.mul(Math.random(0.25, 0.5), ONE_TOKEN));
 		await this.eth.transfer(this.market.address, amount);
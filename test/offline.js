@@ -0,0 +1,113 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const testbed = require('../src/testbed');
+const {Deployment} = require('../src/deployment');
+const offline = require('../src/offline');
+const util = require('../src/util');
+
+const KEY = testbed.randomPrivateKey();
+const GAS_USED = {
+	market: 6e6,
+	token: 1e6,
+	'market.init': 4e6
+};
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		_.assign(this, await testbed({
+			contracts: ['UpcityMarket', 'UpcityResourceTokenProxy'],
+			accounts: [KEY]}));
+		this.from = _.first(this.accounts);
+
+		// Prepare a batch that deploys a market and a token.
+		this.prepare = async (nonce=0) => {
+			const deployment = new offline.OfflineDeployment({
+				chainId: await util.getChainId(this.eth),
+				from: this.from,
+				nonce: nonce,
+				gasPrice: 1,
+				gasUsed: GAS_USED
+			});
+			const market = _.assign(this.contracts['UpcityMarket'].clone(),
+				{artifactName: 'UpcityMarket'});
+			const token = _.assign(this.contracts['UpcityResourceTokenProxy'].clone(),
+				{artifactName: 'UpcityResourceTokenProxy'});
+			await deployment.deploy('market', market);
+			await deployment.deploy('token', token, ['Token', 'TKN', market.address]);
+			return {batch: deployment.toBatch(), market: market, token: token};
+		};
+
+		this.createDeployment = () => new Deployment({persist: false});
+	});
+
+	beforeEach(async function() {
+		this.snapshotId = await this.saveSnapshot();
+	});
+
+	afterEach(async function() {
+		await this.restoreSnapshot(this.snapshotId);
+	});
+
+	it('prepares transactions with sequential nonces', async function() {
+		const {batch} = await this.prepare(3);
+		assert.deepEqual(_.map(batch.transactions, t => t.tx.nonce), [3, 4]);
+		assert.deepEqual(_.map(batch.transactions, t => t.step), ['market', 'token']);
+		assert(_.every(batch.transactions, t => !t.raw));
+	});
+
+	it('cannot sign with a key for a different account', async function() {
+		const {batch} = await this.prepare();
+		assert.throws(() => offline.signBatch(batch, testbed.randomPrivateKey()),
+			/key is for/);
+	});
+
+	it('broadcasts a signed batch to the predicted addresses', async function() {
+		const {batch, market, token} = await this.prepare();
+		const deployment = this.createDeployment();
+		await offline.broadcastBatch(this.eth, offline.signBatch(batch, KEY),
+			deployment);
+		assert.equal(deployment.contracts.market.address, market.address);
+		assert.equal(deployment.contracts.token.address, token.address);
+		assert.equal(await token.name(), 'Token');
+		assert.deepEqual(deployment.contracts.token.args,
+			['Token', 'TKN', market.address]);
+	});
+
+	it('can broadcast a signed batch again', async function() {
+		const {batch} = await this.prepare();
+		const signed = offline.signBatch(batch, KEY);
+		await offline.broadcastBatch(this.eth, signed, this.createDeployment());
+		const deployment = this.createDeployment();
+		await offline.broadcastBatch(this.eth, signed, deployment);
+		assert.deepEqual(_.keys(deployment.contracts), ['market', 'token']);
+	});
+
+	it('cannot broadcast an unsigned batch', async function() {
+		const {batch} = await this.prepare();
+		await assert.rejects(offline.broadcastBatch(
+			this.eth, batch, this.createDeployment()), /not been signed/);
+	});
+
+	it('skips steps already in the deployment record', async function() {
+		const deployment = new offline.OfflineDeployment({
+			chainId: await util.getChainId(this.eth),
+			from: this.from,
+			nonce: 0,
+			gasPrice: 1,
+			gasUsed: GAS_USED,
+			record: {
+				contracts: {market: {address: testbed.randomAddress()}},
+				calls: {}
+			}
+		});
+		const market = this.contracts['UpcityMarket'].clone();
+		await deployment.deploy('market', market);
+		await deployment.call('market.init', market, 'init',
+			[1, _.times(3, () => testbed.randomAddress()), []]);
+		const batch = deployment.toBatch();
+		assert.deepEqual(_.map(batch.transactions, t => t.step), ['market.init']);
+		assert.equal(batch.transactions[0].tx.to, market.address);
+		assert.equal(batch.transactions[0].tx.nonce, 0);
+	});
+});
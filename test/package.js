@@ -0,0 +1,75 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const fs = require('mz/fs');
+const os = require('os');
+const path = require('path');
+const project = require('../src/project');
+const build = require('../src/build');
+const constants = require('../constants');
+const {builtinModules} = require('module');
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		this.tmpdir = await fs.mkdtemp(path.join(os.tmpdir(), 'upcity-'));
+		this.index = path.join(this.tmpdir, 'index.js');
+		await build.writePackageIndex('test', this.index);
+	});
+
+	after(async function() {
+		await fs.unlink(this.index);
+		await fs.rmdir(this.tmpdir);
+	});
+
+	it('exports the ABIs of every artifact', async function() {
+		const pkg = require(this.index);
+		const artifacts = await project.getAllArtifacts('test');
+		assert.deepEqual(_.keys(pkg.ABIS).sort(), _.keys(artifacts).sort());
+		for (let name in artifacts)
+			assert.deepEqual(pkg.ABIS[name], artifacts[name].abi);
+	});
+
+	it('exports the constants and errors', async function() {
+		const pkg = require(this.index);
+		assert.deepEqual(pkg.CONSTANTS, JSON.parse(JSON.stringify(constants)));
+		assert.deepEqual(pkg.ERRORS, constants.ERRORS);
+		assert(_.isPlainObject(pkg.ADDRESSES));
+	});
+
+	describe('upcity-admin', function() {
+		it('ships every module and dependency the command needs', async function() {
+			const pkg = JSON.parse(await fs.readFile(
+				path.resolve(project.PROJECT_ROOT, 'package.json'), 'utf-8'));
+			const bin = pkg.bin['upcity-admin'];
+			assert(/^#!\/usr\/bin\/env node/.test(await fs.readFile(
+				path.resolve(project.PROJECT_ROOT, bin), 'utf-8')));
+			// Only required for dry runs, which the command doesn't do.
+			const optional = ['ganache-cli'];
+			const seen = new Set();
+			const visit = async (file) => {
+				if (seen.has(file))
+					return;
+				seen.add(file);
+				assert(_.includes(pkg.files, file), `${file} is not packaged`);
+				const code = await fs.readFile(
+					path.resolve(project.PROJECT_ROOT, file), 'utf-8');
+				const re = /require\('([^']+)'\)/g;
+				for (let m; (m = re.exec(code));) {
+					const id = m[1];
+					if (id.startsWith('.')) {
+						await visit(path.posix.join(path.posix.dirname(file),
+							/\.js$/.test(id) ? id : `${id}.js`));
+						continue;
+					}
+					const name = /^(@[^/]+\/)?[^/]+/.exec(id)[0];
+					if (_.includes(builtinModules, name) || _.includes(optional, name))
+						continue;
+					assert(_.has(pkg.dependencies, name),
+						`${file} requires "${name}", which is not a dependency`);
+				}
+			};
+			for (let file of [bin, 'deploy.config.js', 'build.config.js', 'constants.js'])
+				await visit(file);
+		});
+	});
+});
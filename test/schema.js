@@ -0,0 +1,93 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const testbed = require('../src/testbed');
+const credentials = require('../src/credentials');
+const schema = require('../src/schema');
+
+const MNEMONIC =
+	'myth like bonus scare over problem client lizard pioneer submit female collect';
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		this.createTarget = (fields={}) => _.assign({
+			chainId: 1,
+			deployer: () => {},
+			authorities: [testbed.randomAddress(), 'merklejerk.eth']
+		}, fields);
+		this.expectProblems = (cfg, secrets, ...patterns) => {
+			const problems = schema.getTargetProblems(cfg, secrets);
+			assert.equal(problems.length, patterns.length, problems.join('\n'));
+			for (let [i, pattern] of patterns.entries())
+				assert(pattern.test(problems[i]), problems[i]);
+		};
+	});
+
+	it('accepts a valid target', async function() {
+		this.expectProblems(this.createTarget({
+			gasPrice: 10e9,
+			confirmations: 0,
+			mnemonic: MNEMONIC,
+			accountIndex: 2
+		}), {});
+		assert.doesNotThrow(() => schema.validateTarget('test', this.createTarget()));
+	});
+
+	it('rejects a target missing required fields', async function() {
+		this.expectProblems(_.omit(this.createTarget(), ['authorities']), {},
+			/Missing required field "authorities"/);
+		assert.throws(() => schema.validateTarget('test', {}),
+			/"test"(.|\n)+"chainId"(.|\n)+"deployer"(.|\n)+"authorities"/);
+	});
+
+	it('rejects unknown fields and suggests known ones', async function() {
+		const secrets = {keystore: 'keystore.json', pasword: 'password'};
+		this.expectProblems(this.createTarget(secrets), secrets,
+			/^Unknown field "pasword" \(in secrets.json\); did you mean "password"\?$/);
+		this.expectProblems(this.createTarget({foo: 1}), {},
+			/^Unknown field "foo" \(in deploy.config.js\)$/);
+	});
+
+	it('rejects conflicting credentials', async function() {
+		const secrets = {key: testbed.randomPrivateKey()};
+		this.expectProblems(this.createTarget(
+			_.assign({mnemonic: MNEMONIC}, secrets)), secrets,
+			/^Conflicting credentials "key" \(in secrets.json\) and "mnemonic" \(in deploy.config.js\)/);
+	});
+
+	it('rejects fields that need other credentials', async function() {
+		this.expectProblems(this.createTarget({key: testbed.randomPrivateKey(),
+			password: 'password'}), {},
+			/"password" .+ is only used with a "keystore"/);
+	});
+
+	it('rejects an account that does not match the key', async function() {
+		const key = testbed.randomPrivateKey();
+		this.expectProblems(this.createTarget(
+			{key: key, account: credentials.keyToAddress(key)}), {});
+		this.expectProblems(this.createTarget(
+			{key: key, account: testbed.randomAddress()}), {},
+			/"account" .+ is not the address of "key"/);
+	});
+
+	it('rejects invalid addresses', async function() {
+		const address = credentials.keyToAddress(testbed.randomPrivateKey());
+		const badChecksum = '0x' + _.map(address.slice(2),
+			c => c == c.toLowerCase() ? c.toUpperCase() : c.toLowerCase()).join('');
+		this.expectProblems(this.createTarget({
+			authorities: [address, 'not an address', '0x1234'],
+			game: badChecksum,
+			market: address.toLowerCase()
+		}), {},
+			/entry 1 \("not an address"\) is not an address or ENS name, entry 2 \("0x1234"\) is not a valid address/,
+			/"game" .+ has an invalid checksum/);
+	});
+
+	it('rejects invalid values without revealing secrets', async function() {
+		const mnemonic = 'not a real mnemonic';
+		const problems = schema.getTargetProblems(this.createTarget(
+			{mnemonic: mnemonic, hdPath: `m/44'/x`, chainId: 0}));
+		assert.equal(problems.length, 3);
+		assert(!_.some(problems, p => _.includes(p, mnemonic)));
+	});
+});
@@ -0,0 +1,159 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const testbed = require('../src/testbed');
+const {Deployment} = require('../src/deployment');
+const {TransactionSender} = require('../src/sender');
+
+const KEY = testbed.randomPrivateKey();
+const GAS_PRICE = 1e9;
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		_.assign(this, await testbed({
+			contracts: ['UpcityMarket', 'UpcityResourceTokenProxy'],
+			accounts: [KEY]}));
+		this.from = _.first(this.accounts);
+
+		this.createSender = (opts={}) => new TransactionSender(_.assign({
+			eth: this.eth,
+			key: KEY,
+			from: this.from,
+			gasPrice: GAS_PRICE,
+			pollInterval: 10
+		}, opts));
+
+		this.createDeployment = (sender, record) => new Deployment({
+			persist: false,
+			confirmations: 0,
+			sender: sender,
+			record: record
+		});
+
+		this.createContract = (name) => _.assign(this.contracts[name].clone(),
+			{artifactName: name});
+
+		// Send a transaction but "crash" as soon as it's recorded, before it's
+		// broadcast, returning the recorded pending state.
+		this.crashWhileSending = async (sender, tx) => {
+			const pending = await sender.prepare(tx);
+			let saved;
+			await assert.rejects(sender.send(pending, {
+				onUpdate: p => {
+					saved = _.cloneDeep(p);
+					throw new Error('crashed');
+				}
+			}), /crashed/);
+			return saved;
+		};
+
+		// Poll until `fn` returns true, failing if it takes too long (e.g.,
+		// because the sender gave up).
+		this.waitUntil = async (fn, timeout=10000) => {
+			const deadline = Date.now() + timeout;
+			while (!(await fn())) {
+				if (Date.now() >= deadline)
+					throw new Error(`Timed out after ${timeout}ms.`);
+				await new Promise(accept => setTimeout(accept, 10));
+			}
+		};
+	});
+
+	beforeEach(async function() {
+		this.snapshotId = await this.saveSnapshot();
+	});
+
+	afterEach(async function() {
+		await this.startMining();
+		await this.restoreSnapshot(this.snapshotId);
+	});
+
+	it('deploys with sequential nonces', async function() {
+		const deployment = this.createDeployment(this.createSender());
+		const market = this.createContract('UpcityMarket');
+		const token = this.createContract('UpcityResourceTokenProxy');
+		await deployment.deploy('market', market);
+		await deployment.deploy('token', token, ['Token', 'TKN', market.address]);
+		assert.equal(await token.name(), 'Token');
+		const nonces = await Promise.all(_.map(deployment.contracts,
+			async c => (await this.eth.web3.eth.getTransaction(c.txHash)).nonce));
+		assert.deepEqual(nonces, [0, 1]);
+		assert(!deployment.record.pending);
+	});
+
+	it('replaces a stuck transaction at a bumped gas price up to the cap', async function() {
+		const sender = this.createSender(
+			{maxGasPrice: 1.5 * GAS_PRICE, replaceTimeout: 20});
+		// Track every gas price the transaction is broadcast at.
+		const gasPrices = [];
+		const broadcast = _.bind(sender._broadcast, sender);
+		sender._broadcast = (pending, gasPrice, ...args) => {
+			gasPrices.push(_.toNumber(gasPrice));
+			return broadcast(pending, gasPrice, ...args);
+		};
+		await this.stopMining();
+		const pending = await sender.prepare(
+			{to: testbed.randomAddress(), value: 1});
+		const promise = sender.send(pending);
+		await this.waitUntil(() => _.last(gasPrices) == 1.5 * GAS_PRICE);
+		await this.mine();
+		const receipt = await promise;
+		assert.deepEqual(gasPrices,
+			[GAS_PRICE, 1.125 * GAS_PRICE, 1.265625 * GAS_PRICE,
+				1.423828125 * GAS_PRICE, 1.5 * GAS_PRICE]);
+		assert(_.some(pending.transactions, {hash: receipt.transactionHash}));
+	});
+
+	it('does not replace a stuck transaction without a cap', async function() {
+		const sender = this.createSender({replaceTimeout: 10});
+		let updates = 0;
+		await this.stopMining();
+		const pending = await sender.prepare(
+			{to: testbed.randomAddress(), value: 1});
+		const promise = sender.send(pending, {onUpdate: () => updates++});
+		await new Promise(accept => setTimeout(accept, 100));
+		await this.mine();
+		await promise;
+		assert.equal(updates, 1);
+		assert.equal(pending.transactions.length, 1);
+	});
+
+	it('resumes a pending deployment after a crash', async function() {
+		const sender = this.createSender();
+		const deployment = this.createDeployment(sender);
+		const market = this.createContract('UpcityMarket');
+		await this.stopMining();
+		const promise = deployment.deploy('market', market);
+		await this.waitUntil(() => _.get(deployment.record,
+			['pending', 'market', 'transactions', 'length']));
+		// Pick up from the record in a new process.
+		const record = _.cloneDeep(deployment.record);
+		await this.mine();
+		await promise;
+		const resumed = this.createDeployment(this.createSender(), record);
+		const _market = this.createContract('UpcityMarket');
+		await resumed.deploy('market', _market);
+		assert.equal(_market.address, market.address);
+		assert.equal(resumed.contracts.market.txHash,
+			deployment.contracts.market.txHash);
+		assert(!resumed.record.pending);
+		assert.equal(await this.eth.getTransactionCount(this.from), 1);
+	});
+
+	it('rebroadcasts a pending transaction the node never saw', async function() {
+		const pending = await this.crashWhileSending(this.createSender(),
+			{to: testbed.randomAddress(), value: 1});
+		assert.equal(pending.transactions.length, 1);
+		const receipt = await this.createSender().send(pending);
+		assert.equal(receipt.transactionHash, pending.transactions[0].hash);
+		assert.equal(await this.eth.getTransactionCount(this.from), 1);
+	});
+
+	it('refuses to resume when the nonce was used by another transaction', async function() {
+		const pending = await this.crashWhileSending(this.createSender(),
+			{to: testbed.randomAddress(), value: 1});
+		await this.eth.transfer(testbed.randomAddress(), 2, {key: KEY});
+		await assert.rejects(this.createSender().send(pending),
+			/was used by a transaction we didn't send/);
+	});
+});
@@ -0,0 +1,199 @@
+'use strict'
+const _ = require('lodash');
+const assert = require('assert');
+const bn = require('bn-str-256');
+const testbed = require('../src/testbed');
+
+const ONE_DAY = 24 * 60 * 60;
+
+describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
+	before(async function() {
+		_.assign(this, await testbed({
+			contracts: ['UpcityGame', 'UpcityMarket', 'UpcityResourceTokenProxy']}));
+		this.game = this.contracts['UpcityGame'];
+		this.market = this.contracts['UpcityMarket'];
+		await this.game.new();
+		await this.market.new();
+		this.trackTime(this.game, this.market);
+
+		this.getClocks = async () => ({
+			game: bn.toNumber(await this.game.__blockTime()),
+			market: bn.toNumber(await this.market._blockTime()),
+			chain: await this.getTime()
+		});
+	});
+
+	beforeEach(async function() {
+		this.snapshotId = await this.saveSnapshot();
+	});
+
+	afterEach(async function() {
+		await this.restoreSnapshot(this.snapshotId);
+	});
+
+	it('advances the game, market, and chain clocks together', async function() {
+		const before = await this.getClocks();
+		await this.advanceTime(ONE_DAY);
+		const after = await this.getClocks();
+		assert.equal(after.game, before.chain + ONE_DAY);
+		assert.equal(after.market, before.chain + ONE_DAY);
+		assert(after.chain - before.chain >= ONE_DAY);
+	});
+
+	it('sets the game, market, and chain clocks together', async function() {
+		const t = (await this.getTime()) + 7 * ONE_DAY;
+		await this.setTime(t);
+		const clocks = await this.getClocks();
+		assert.equal(clocks.game, t);
+		assert.equal(clocks.market, t);
+		assert(clocks.chain >= t);
+	});
+
+	it('cannot set the time before the latest block', async function() {
+		const t = (await this.getTime()) - ONE_DAY;
+		await assert.rejects(this.setTime(t), /before the latest block/);
+	});
+
+	it('restoring a snapshot restores every clock', async function() {
+		const before = await this.getClocks();
+		const snapshotId = await this.saveSnapshot();
+		await this.advanceTime(ONE_DAY);
+		await this.restoreSnapshot(snapshotId);
+		const after = await this.getClocks();
+		assert.equal(after.game, before.game);
+		assert.equal(after.market, before.market);
+		assert(after.chain - before.chain < ONE_DAY);
+	});
+
+	describe('deployUpcity', function() {
+		it('deploys a wired game and market', async function() {
+			const {game, market, tokens, authority, genesisPlayer, users} =
+				await this.deployUpcity();
+			assert.equal(await market.isAuthority(game.address), true);
+			assert.equal(await market.isAuthority(authority), false);
+			assert.equal(await game.isAuthority(authority), true);
+			assert.deepEqual(await market.getTokens(), _.map(tokens, t => t.address));
+			assert.equal(await this.eth.getBalance(market.address), testbed.ONE_TOKEN);
+			assert.equal((await game.describeTile(0, 0)).owner, genesisPlayer);
+			assert(!_.includes(users, authority) && !_.includes(users, genesisPlayer));
+		});
+
+		it('applies options', async function() {
+			const [authority] = _.sampleSize(this.accounts, 1);
+			const {game, market, tokens} = await this.deployUpcity({
+				supplyLock: bn.mul(10, testbed.ONE_TOKEN),
+				initialFunds: 300,
+				authorities: [authority],
+				marketAuthorities: [authority]});
+			assert.equal(await game.isAuthority(authority), true);
+			assert.equal(await market.isAuthority(authority), true);
+			assert.equal(await this.eth.getBalance(market.address), 300);
+			assert.equal(await market.getSupply(tokens[0].address),
+				bn.mul(10, testbed.ONE_TOKEN));
+		});
+
+		it('has helpers for playing the game', async function() {
+			const fixture = await this.deployUpcity();
+			const [player] = fixture.users;
+			await fixture.buyTile(1, 0, player);
+			await fixture.buildTower(1, 0, [0, 1, 2]);
+			const tile = await fixture.describeTile(1, 0);
+			assert.equal(tile.owner, player);
+			assert.deepEqual(tile.blocks, [0, 1, 2]);
+		});
+
+		it('keeps its clocks in step with the chain', async function() {
+			const {game, market} = await this.deployUpcity();
+			const before = await this.getTime();
+			await this.advanceTime(ONE_DAY);
+			assert.equal(bn.toNumber(await market._blockTime()), before + ONE_DAY);
+			assert.equal(await game.__blockTime(), await market._blockTime());
+		});
+
+		it('does not drift from the chain over repeated advances', async function() {
+			const {game, market} = await this.deployUpcity();
+			for (let i = 0; i < 3; i++) {
+				// Let the chain's clock tick between blocks.
+				await new Promise(accept => setTimeout(accept, 1000));
+				const before = await this.getTime();
+				await this.advanceTime(ONE_DAY);
+				assert.equal(bn.toNumber(await game.__blockTime()), before + ONE_DAY);
+				assert.equal(bn.toNumber(await market._blockTime()), before + ONE_DAY);
+				assert(await this.getTime() >= before + ONE_DAY);
+			}
+		});
+	});
+
+	describe('events', function() {
+		before(async function() {
+			this.fixture = await this.deployUpcity();
+			this.buy = async () => {
+				const [buyer] = this.fixture.users;
+				const {price} = await this.fixture.describeTile(1, 0);
+				return {
+					receipt: await this.fixture.buyTile(1, 0, buyer),
+					buyer: buyer,
+					price: price
+				};
+			};
+		});
+
+		it('decodes events from any loaded contract', async function() {
+			const {receipt} = await this.buy();
+			const [buyer] = this.fixture.users;
+			const buys = _.times(this.fixture.tokens.length, i => 100);
+			const bought = await this.fixture.market.buy(buys, buyer,
+				{from: buyer, value: bn.sum(buys)});
+			// The game and market each have a (different) "Bought" event.
+			assert.deepEqual(_.map(this.decodeEvents(receipt), 'contract'),
+				['UpcityGame']);
+			const events = this.decodeEvents(bought);
+			assert.equal(events.length, buys.length);
+			for (let event of events) {
+				assert.equal(event.name, 'Bought');
+				assert.equal(event.contract, 'UpcityMarket');
+				assert.equal(event.address, this.fixture.market.address);
+			}
+		});
+
+		it('expectEvent() returns the matching event', async function() {
+			const {receipt, buyer, price} = await this.buy();
+			const event = this.expectEvent(receipt, 'Bought',
+				{to: buyer.toLowerCase(), price: bn.parse(price)});
+			assert.equal(event.args.to, buyer);
+			assert.equal(event.address, this.fixture.game.address);
+		});
+
+		it('expectEvent() diffs against the closest event', async function() {
+			const {receipt, buyer, price} = await this.buy();
+			assert.throws(
+				() => this.expectEvent(receipt, 'Bought', {to: buyer, price: 1}),
+				err => err instanceof assert.AssertionError &&
+					/No "Bought" event has/.test(err.message) &&
+					_.isEqual(err.actual, {to: buyer, price: price}) &&
+					_.isEqual(err.expected, {to: buyer, price: '1'}));
+		});
+
+		it('expectEvent() reports which events were emitted', async function() {
+			const {receipt} = await this.buy();
+			assert.throws(() => this.expectEvent(receipt, 'Sold'),
+				/Expected a "Sold" event, but found .*Bought/);
+		});
+
+		it('rejects unknown events and arguments', async function() {
+			const {receipt} = await this.buy();
+			assert.throws(() => this.expectEvent(receipt, 'Bougth'),
+				/No loaded contract has a "Bougth" event/);
+			assert.throws(() => this.expectNoEvent(receipt, 'Bought', {prcie: 1}),
+				/"Bought" event has no "prcie" argument/);
+		});
+
+		it('expectNoEvent() fails on a matching event', async function() {
+			const {receipt, buyer} = await this.buy();
+			this.expectNoEvent(receipt, 'Sold');
+			this.expectNoEvent(receipt, 'Bought', {to: testbed.randomAddress()});
+			assert.throws(() => this.expectNoEvent(receipt, 'Bought', {to: buyer}),
+				/Expected no "Bought" event with \{to: 0x[0-9a-fA-F]+\}, but found/);
+		});
+	});
+});
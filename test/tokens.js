@@ -10,37 +10,24 @@ const {MAX_UINT, ONE_TOKEN, ZERO_ADDRESS} = testbed;
 const NUM_TOKENS = constants.NUM_RESOURCES;
 const SUPPLY_LOCK = bn.mul(100, ONE_TOKEN);
 const INITIAL_FUNDS = bn.mul(1, ONE_TOKEN);
-const TOKEN_NAME = 'TestToken';
-const TOKEN_SYMBOL = 'TTKN';
 
 describe(/([^/\\]+?)(\..*)?$/.exec(__filename)[1], function() {
 	before(async function() {
-		_.assign(this, await testbed({
-			contracts: ['UpcityMarket', 'UpcityResourceTokenProxy']}));
+		_.assign(this, await testbed({contracts:
+			['UpcityGame', 'UpcityMarket', 'UpcityResourceTokenProxy']}));
 		this.authority = _.sample(this.accounts);
 		this.users = _.without(this.accounts, this.authority);
-		this.tokens = this.contracts['UpcityResourceTokenProxy'];
-		this.market = this.contracts['UpcityMarket'];
 		this.randomToken = () => _.sample(tokens);
 		this.randomUsers = (size=1) => _.sampleSize(this.users, size);
 
-		// Deploy the market and tokens.
-		const market = this.market = this.contracts['UpcityMarket'].clone();
-		await market.new();
-		const tokens = this.tokens = _.times(NUM_TOKENS,
-			i => this.contracts['UpcityResourceTokenProxy'].clone());
-		for (let i = 0; i < NUM_TOKENS; i++) {
-			const inst = tokens[i];
-			inst.NAME = `${TOKEN_NAME}-${i}`;
-			inst.SYMBOL = `${TOKEN_SYMBOL}-${i}`;
-			inst.IDX = i;
-			await inst
-				.new(inst.NAME, inst.SYMBOL, market.address);
-		}
-		// Initialize the market.
-		await market.init(
-			SUPPLY_LOCK, _.map(tokens, t => t.address), [this.authority],
-			{value: INITIAL_FUNDS});
+		// Deploy the market and tokens, letting the authority mint and burn
+		// tokens directly.
+		const fixture = await this.deployUpcity({
+			supplyLock: SUPPLY_LOCK,
+			initialFunds: INITIAL_FUNDS,
+			marketAuthorities: [this.authority]});
+		this.market = fixture.market;
+		const tokens = this.tokens = fixture.tokens;
 	});
 
 	beforeEach(async function() {